@@ -1,4 +1,17 @@
 import React, { useState, useEffect, useRef } from 'react';
+// js/*.js — обычные скрипты, их подключают тегами <script> до лендинга; как модуль они доступны через js/landing.mjs
+import {
+  SHOP_CONFIG, LEAD_HONEYPOT_FIELD, createLeadTransport, sendLead, formatPhone, validateField, validateFields
+} from './js/landing.mjs';
+
+// Заявки уходят туда же, куда и с формы контактов витрины — см. SHOP_CONFIG.leads
+const leadTransport = createLeadTransport(SHOP_CONFIG.leads);
+const LEAD_RULES = { name: 'name', phone: 'phone', agree: 'consent' };
+
+// Ошибка под полем: связана с ним через aria-describedby, role="alert" — диктор зачитывает её сразу
+const FieldError = ({ id, message }) => message
+  ? <p id={`${id}-error`} role="alert" style={{ fontSize: '14px', color: '#e8a0a0', margin: '-10px 0 18px', textAlign: 'left' }}>{message}</p>
+  : null;
 
 const IMG = {
   crab: 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQAAAAAAAAD/2wBDAA0JCgsKCA0LCgsODg0PEyAVExISEyccHhcgLikxMC4pLSwzOko+MzZGNywtQFdBRkxOUlNSMj5aYVpQYEpRUk//2wBDAQ4ODhMREyYVFSZPNS01T09PT09PT09PT09PT09PT09PT09PT09PT09PT09PT09PT09PT09PT09PT09PT09PT0//wAARCAGQAZADASIAAhEBAxEB/8QAGwAAAwEBAQEBAAAAAAAAAAAAAwQFAgYBAAf/xAA6EAACAQMDAwMDAgUEAQQCAwABAgMABBEFEiETMUEiUWEUMnEGgRUjQpHBUqGx0TMkYuHwFvElQ6L/xAAaAQADAQEBAQAAAAAAAAAAAAABAgMEAAUG/8QALxEAAgICAgEEAgECBQUAAAAAAAECEQMhEjFBBBMiUTJhcYGRBRRCsfAzocHR8f/aAAwDAQACEQMRAD8A4NI8UZVoipRUizWVuzYkCCEihSRE+KorDxXjRcUFKhnGyK0J9qHtwarPD8UpLFjxVIzIygAWtGs4wa+zVBDLGsg161YzzRFYdTWiaCpreeKAxljXynmstXinmiAdjfKYNb3CgxfbzWifmlCaLCvYzzj3oPBOc0VewINccEPK4rA71rnGfFfBcn4rgsNEx7U5bcvgilFXAqlaxYiLEUg6CSyE9qCqFzWwu44o6qFXiuGFpgsURC/canGVxnJIHsKoyrkktwKQlQFsDsKZCMGkhIwexonRTbu3Y+KHL6OFr1c4OTRFNlxGMKe9DOG8CvV2sDk4NajQnsc1wQLBthHt2pZ0JbOKotuUdhQvSwbK+K4BObtXoG5ce1FZABjGTWQrYzjArgUDAxX2OKMACvNZ2c1waBVoCidPJoiRUHKgqIELxWhGTTKxithBU3kGUBTpV4UxThXihOtcphcRXFbVc16VokSFjgVzkKls+ijy4AFdBY2bYBIpbTrEs4JFddZ2gEfas2SalotFUSJrQCLOKj3NsGB4rrb2IBMAVDliyx4rKpODKNckc08BRq9WMVWubbvxSLIUPat0MvJEXGjyPFOxR5pCM1Qt3FFjxGBEMUOSOmUYEV5JgioOezQoWie6UpOg5qn0JJASik/gUrPEy5DKQfmnjkTZOUHRGlGDQc07PDQY7UufOK1qSoyOLsVY1gHmrUen+n7aDPYYBOMUFmi9BeGSViCmt5rDoY2wa83VTsl0fGvB3rLNxWQ2DRANqeK9zQUfNe7uaA1m60rEeaHv96+JxjHmuAOwnchPtTUaAR7sfmloVKQBT55NHZykQX3oUON20avIo75NUbkCNQgpLS43YmVhwO1N9N5XJPb5pRkDjGBmmFUsOK1HCThVXNMyIlso6hG7HalGJs0RJIPApN+mrhcg4807cyhgcVLYncSaZCs+cLktjil5XxitOWyfahNk+KYUxyOc96LGzKwKnt3rwKWA+KYihyc44NA5I9aUsnOOa82fyyR5oxh2Id37UrKSO1cEDIvJGMUIjinkTqJ6iBj3oTRKp75FCzqAIuRR1hyO1eRLiTHvVGGMHxQbCkImLb4r4Liqz2u9eBSUtq654qUiiQv2rJbFePuXuKGNzdgTSpAsIWzWTzW4reWQ8CqdrpbNywzSynGIjbfRLitnkPbirVjpnY7ap2mmBcEiq0NsqDtWXJ6i9IpDH5Ypa2YjA4qvAAEoOMDijRcLUYTbkWa0K3w9Brn3f+aRV3UXwhrmXkzMapNWCOht4w60jcWuc4FPQtkUYxhqlGbgwtWcjG3FNw7ieKTs4mkcLXUWemZQHFenkkok8S5CMZYDmm7aBrmZIl/qOKbax2eKb0pFivI2I7GvOy5jfHHSOo03RYLe2VdgzjvSOv8A6eiubZmiUCRRkEV0VtIrxjBFZu3VYjkjtVvYxrFzT2eas2Tns/H5rBw5Ur2OKNb6fjuK6a7tka5cgDBOaEYVQdqT320ehHErsmrbKi8ikbyJNpxVW4HeplxzkChCWyskqObvk78VPq9dWxYHIqRPD03+K9XFK0eRlhUhcivMUXbX2yrWRowvBooHmvAlEC4oWFIztyKZs4Nzb3HpX/evoYh9z/sKcKkIADj4FCw0erG0km44A8Cm4LE3EoB+0VjT4Q0hLc4qxA4HCDGKDY6QcCOC36aKOO5pLrMXwWAFCvLh8FQaWtEZ5PUTilCW4pViTcp9VS7qZ5JixJOaY6iE7MHPavntwRu8UEGhNw2wEeaXnG1fmn7hdijFJOvpZ25prFaAqmU58UBzg8dqPGTntWXgdm9IzQs6gaer/NPW6FkAA88Vuw06WQOVQsQuT8CmIlCKFUZ9q6w8Ty6j/lqD3qbJGUbBGa6V9LmFgZ5RhselPLUh/CLuUjMW3P8AqOKR5YrtlPZk+kRZQMY7V5GCFIJyKr6lo72caljvONzFR6V+M1NMO4YzijGakrQji4umBHp5py2uRxmlmgZeCKGqsjUwDo7aRXGM0w0KsO1QraZlOQapRXvGDU2h0eTWCP4FZh0sA8AUdb1D3Io0V0g8igw0GttPUYyoqnBaovikor5AODTC3ynzWPJibY0aHlRVHFfGlRdofNe/Up/qqDwyH5DAGTijY2pSaXK5717JdrtPIpoY2gNk3WbgLGwzXOJJl85p/WJeq+FNS0jIPerKGhLKcD5FPxNmpUPA70/C/wA1myRZRMhWGI5AT7111hcxiMDIrjo1JHFHW5kiPc1smuRlxZuB2x2SdqwIArBh3FRtO1LfhXNWRcoR3rNPGmejjzWtFO2u5IlGDX1xdySA5NTRdKPIr43akdxUfbaVDVC7o2QSSTWHjzWPqV968NyvvTLHQ/NAZbbIpR7RQc0690gHek5btfFUjEVzEr2BQh4rmL8DdXQ3lzuQ4rnrv1NW7BZjzbEwK1gV6FrQStNmajIFbjXc4FehD7UxbxEkkChYUgsYUeBRgFBy44r0W7+BzRhp0pGWJpecfs40LiOCLEfc96bt29AJ8ipbwSCQLgkVRgUhRkfbRsZApUJc5FEXEEZOOTRQN8uK9uIcLgihY1CsL5fJ4FVY3RgIv9VTY4sfd2pq3jc3IcZwKFnJBLi0YnbjOKBPbIFA+0Af3p/qu9yVQbtxwAPNU9Q0/dHFacdSNcsVHk0s8nBWPDG5ukcg0Phe1VNH0qW+Z0hC5UZyx71ZttAg2YnkO8jjjgVWj0mC2g6qlUCd2L0HNvpDrFFfkxa10YW2n7FkQySf+Q5/2pSGxtrNjuKhwfSxGeaJd3EySO0ODGvdh/VS+rams9nAMRlk43L3z/1WRzTba7NuLDLS8f7DM96kauHUTkDI2mkYhdSiS4lHpXAABzivNJuLUStLeSoFTkDyaJqH6tiLiLTbdULcFyBS+3zj8mWkpQbjCP8AUfcrMi20iZjYY2kd6Quf0sJpYzZhIogvqZ2ySfxW4bsPEhmlYzYyc1Qhul3AO23PauhNw6MWSFnETwGOd077WI/NCaDflghOBkkDtX6LJZ2l+gW4hVsHPp4JpPWzaaXo8sdnAsZlGwYHJ981sjltGRw2cAihTgUU0J8g18X7GqC9A5sgkg0NZ5VP3USZuaWk45o0CxxL1x3o6X+O+akLJzW+p70KCmWRf/8AuNa/iBH9dRN9fF6FHWW/4mR2asvqjMMbqgux8Ghlm96Kigciw1wGOS2a+6y+4qLvb3Neh29zR4oHJlsXAHmvReFfNRldvc17vb3pfbQeTKkJG2hXPfIrCSBR3rEj7j3qS7M1DFnIVbNWYro7eTUa2FOF9q1OUbZpwy4jrXR96z9Ufep/Vye9aDVygaOY99Sx80WHrTZKAkCg6ZZyX1wI0zjya7q20yG1tAoUdqEo0rR3uHCzO6khsjFLtIT5qvrlriUug4qETg0MTUkGTMzN6amT/dT8p4qfMcnFaoIjJgwBRVXNMW2nSzBWUcGqF1pRhtlkHPHOKWWeCdWS5LolBRnmmrUYP5oIXPFNRKFwKZ9DlPcoAOBTMZDKM+anbiUUU9CjtGAAaxQjTI0FW3jJJxyaM1kBGSBXscJQZNOQlnwvvVVJpjqyPDAVuORmiXKNuwQRXTWmnRr6yMk+9e3NmrSKOmW3duM0/uP6NcIJ9s5JYCcZziqtppzzWrspAwQMEc4p+7h6L9H6dzMoGzC5zVW0TUI7OMtDCsuOAOwHzTRblodwUEpWtk6y0hUtncIRIOeq/j8CvL+7S1wUeNiEy5Bzk1YubyGSxlt7mXpSlcMU8Vw11bQRbmlvTJECQABS5lS+LL+kh7jblqvBe0rUmvgSRtVe3Gc1Ju9RkupJocFYpWHp3ccGsPd2zwJaaUJMsACx8nzUz6po7giTbt5wQPaoylJqka8cYRlya76Gpb65S3aDq/ys4Ix3pAi4j23M0c4tzn1JWoNRkSQoVSVGOWDDNF1i4LQAQOUg7CLOcUIKnTLSlXRMmygRVnVwRuOP6fii2sewGQnP+mh2Vm90GEYyy848mnrVB1AhHC96ebrSIzbS2HtC49TEnFdHpb25GJ06gPYHtUyCFVU7hwRXySENtU8eKlH47Mk/no6wXkEcQSELH8Cp91MtyjxMoZGBGKj9Ri+SfFaa6WMZdsVPJklKSFjhSJN5pN1Bu3QNsA3ZHIA+TSH05I7HntXb2V2kkbRTEGJhznyKna1dQXMscdrGqRRDAwMZrdiy80ZcmJxZys1sdoJHNTrmN0Y47V1hiiZPXxWW061kTcOTWhMg4nHITn1CmOkGHBqrdWsMZ4UZoMUIkkWNV9THAo2ckSzGytjNfEGupP6WvG9LKqse3Oc1i0/Tghcy6kwVFyRGDy2KlPLGO2ykcMpao5faayeODTdxsMztGm1Cx2j2FCWJpnEcalnPYAcmnTtWTcaFiKyaMyFWKsCCDgg1nbTCmA1fbzXxAFZJ5ogDdcE0aM7jU0NzT9v2pZRpCLY/E20V60uaBuIFZ3Emo8SvQwrU9Z28t04SJSTWtI0S41B1OCsfufNd/pekQWUQCoMgd6jPIlpFI9bA6BpYsYNz8ueTVG4l3HaO1HYgLikZCN1Z5eocXQyjyJ2pWwkiNcZexGGYiv0F1DxmuP1+DY5OKqtNNeQr6IMnNM2mnRXMZJIB8V5YxLI383IFUwIYV9JAFHNla+MezNkl4GLC0Nuu3ORT0kSyRFSOCKlx3gUHacivTqmBtAyawSx5JSskkBi0Ga4nfpfaKBJYyW9yYpByKradrEsLELGWz7UYSi6umkmTax8GvQhkagr7LxbJttal5kUjtV+3t0jXAGTQ1g6Z37ePeqFoq7SzYz80uNWtjxxvsmSo4c5XijW8E0oJjQnb3x4p29KJCsm3ILYPFPadDI0DNbxlN443nGarGKcqKPG4x5PonzG8sWjYtGygDK5yap6VLNdq0hUwop445akZ0lW6eCco9zgHcvGB+9DsdavNksJh3pESBIO5xRhUJ0aZQeTF8Ur+yprjPFEJEnKALypFSR+ohMIolhZCR6iD2ry+vGRI3u3KRsMkE5YftXMaldNzJbkCAnbvC4Jo5Mr5fFlvTemi4VNWULr9RRFWtpkDKrkllHLVAeUXckqxekM2QprLW7PHuGO3f3oE9wpgUldsiYUFRgYFQrk78m5KONVEaXr242R8NJ6c9qo3mlzWFrCXlSZGBVtvIVu+M1CF3LsCvyvjPiqOnajtT6WYFrZ2DMM8qfcU3Gk0xeLbUkIXKG3YPGCGPii4DwBpT93ge9VtWtI5GiFjcrKpPC/1fvU+aCOCMRyH1g5IpVK0vsSc12LWN7cWdx1LY7COBxT8V71rgzy7Q7fdgYyaSzb53k8DsKG8qdQiP7TzRa5dEJSt2XHvk27VOc1hJgPUOfio8TFn9IzRZpmjhYjg4pHFtiqkiol4rPjPIra7ZW9fIrnYJSGB3EmrdtHMUV+Oe2aTJj4+SmL5dFqBZPpz04s545FTJUdXIIxXQW9xstAZNuQvJrm31oSXm+ODgN581bC6VJEMuNyezySKUjBBxWmSS3whB5GasxzCVFmljVR3780aG1F5IZAmTnu3am96fhCL06VuT0JWOjJPALq4Gc52oexNa0z9Prb3iXEkgYKcgeBVy1RILkWdwQABuCk8Y+KMz6LbyXNw5XMa+pSf+BTRUpbboT4x0lYvJLKsxjiiKBz/AOUc8VJewkt2b6thIWY4O7ORUvV/1DJeShLRDDCv2qO5r1LqbpAk5JHOTUczt14NnszxxT6GW/TNneMJInMKA5kx2x8UfRdAt9PmkuuqJ3ORHx9o9/zVSC0EGmHrTgyzqCFXsorOl2cyox6qMM+j5oNzrjZjfG3I5+D9Gy3l9PcXcoigMhIC8s3/AFUf9U/p7+Eus1s5a3kOAD3U1+myRC3h9TEkjsOwrlf1Wsk9lGFAMaNlverxyuLUWQcOVtH5uyv7Gs9Nz3Bq8tsp8UVbFCDkVolmUUQlBpHLBSTT9scChpCSKoadplxeShIUJHk+1NOarZ0YUagtpbpwkKFmNdXov6Uwyy3QyfarOg6LFYwDcoL+SavLgDArzp5nLS6LcUgNvbRW0YVFAxW2lArMsgUd6SklJ81iyZeOikYXtjDy5Hel2bJoYYnitKpJ7VByciqSQxF6krnP1FGACcV0kBVR6jikb+0S5mAcZTzXqQT4IlxfI4qM8Yx/aiTQMU7d66ddIt+odihR4pr+GCMb5cFfGBVZRcnaA/TpvbIenaN1rQtnBx580xBoKGIMMs+eRXRp0reBWiQNnvk1iK7gF23AUY5p1jrthjijTpWS4bJLWQDpZeiG2jMm+UKtfDVoUv2BBIJwpNaSCWa+SWXatuzd85zQqLetmpY1FfJUMRpBIwhDZJ7GiQ2rJdhEAkVhg4P+1MXGnpFbPNBFwoyVU9xU201mSF2NsiSJnlT3UfmmdRklIlFyyRbx7L/S2OkL26vDjJYn7f2qdPqtnpVz60lwxwGbnv8A4qbqGr3VzJtgLw25yHyckn49qQt1fUZjBJPHHBAP5krgEj4ppZd1AOL0muWV6HNX1m0kkEoWNpG9IPnHzUwamYbOQxW7+o4Eo7Bq9e00+Wf/ANBCzdI5MspyGx8VFfU//InJbJ2gfbn8VCU5OVrs9HDix8El/wBwd3d3ly7LI+4k5JHmtrcFrQ208gHTO5Vxw35pVnZUZiMEdwPBoKL1Mns2c5oJaLykukOXNwiBERee/FC2gr64yN3IYivDbseckkVcv5Y7u3thGVXZGE2kDxSuUYom23o55rXdIArHn3p2G0Mac8sacWJIQB9zAZz7UnfXZjXZGcyNwPiuUpT0SlkUAF5dfRjpxN/NPcjxS8aTXD9WQkk+TWobcdcNPkuRnmrT6c501Ly3PUTkOgHKkf8ANUbjBUjI5OTtnOXcMi85JAodrIqyYk4pma5MjlVjJFeR6bJcMCMLu7ZqilUakBQbfxHVlhiTKkZNAknW5bphd26tfTW1hkXZMkg/oHap0kjbvQuweAKWMF4H/kqWaWVveKt5KQo74GcUe51RFcrYglAeC1SkRBGC3JPfmtRPGA3g0JQTdvZWEpJfHQz/ABK5aUNLISB3Hj+1WtDhTULjquoEat6yo7CuWdyx9Knbnua6LRZBDaSxoQsbj+YRnOKLSjs5KUrQ1qEqQ6o1tYhp4wf6OaxFqV7azmN8quftPgUCW9ZQBbp0kTyO9N2tv/FLSS4VdrxcbmOFP/zUdXcUak1GNT6KOs69JLBHFCgRWT1P3J+Pio6QGdWlklAPgZ/5pa9YFFQsySr3z2b2xTOjRm8YW0hA5O3Hk/JoScp/IaMIYYVHQNraNP57bceAKPp1v1pOpKCYwe3vSWrzNDc9DbtCcNiqdjOGtRjGMUnF1bMuXLylSGru+McTbT8KK3Y6hLDCoDYIqZejKxMDxuo7RbLYSL3HepcHVp7JS4/Rbm1JptvgY5+aUurhWU7v6hjFT47gFc5oBlMs2cn8e1UvyQUUNLoKuu+3mEoPOMYxU+4hMLbcHNV7S56PcnbTdhY29/M89ySck+kcVZtyaSE4x4vkc3o36Zlu9sk4Kp7e9dxYaZb2MQVEAxTWYrdNqgDFLtPuJ5rLm9R9slGLYd3AHFDM4ApS4m2RlmOFHc1LttXgubxoEcceTUIuc/xReGFyVoqSyljQg4LBc8mvW2SrsQjPvQ7bT55bpVUkYP3VRehnJ3JjqKS+Tobt4mMhDLgDzRWItyWY5X48VE1jVpdMvTbsrMo7keakSa5dySNtjIjb3rZHHDHpLZaHpZzSfhnWIjNIXjw4Y8AntW70dCHDSjef6RXIW17dpcq5nKqP6c8Vu7vGkuGkeZiT5FN7qUdLZT/Jy5LeikmsRWt5sIMvx7VWn1q2mtsEhSRXHW5tmLkn157mgtL/ADSc5ANCOaUVRafo8c2n5Ras9SaS8c7ZXijPZRmvZ/4jf3cc1pAUjf0rn/Ne6Jp1zOz3CGSCLHYL91U55by2txMBJHEnA3cfvXLlW+ic5xjkqFWH0bTDGokusNK2cZXAX/5qhPZG0QSo4IAO/f4HviktC1O7nhnmuMdNcCNsY/P5qXf6lenUXuGQy22PQoOBj5rRcIwTSMLx5smZpvr/AJRbnaG40pobXUHJzl3U5P4+KhzSR20LW9giNhdzOSP7mpct3cC5keLh5TkRxjOMeKRnvJopGW4T+XJ92D3HtU3kvwbcXpXDz+yhdypsZBcb0ZPWYxxv9s1GDdGQO24qO496IsyzKIY19RyBl8D4JpW1ybjpynA7E48VOn2zUmoqis/6hQWrw20IRnGCxPYfFQFBMjMo3AHBo97bLHKz27mSP3xgisxAkZQcnwKoqS0Rr6QwbfBV1bIYZKg521l/U21Rj8UxYJM6N6DhRkn2FMdKPq5jOVx3xUXOmPSXZm2Ro4924ZzjafatNbKZDJIxA9q006IMKOfc0CSR5VDBW2E4DY4zSRTbslKf0amlIRhCNxA7UW1/T99JYLqLRbozls59WPfHtXQ6L+mra8061uXkkRiWMvb1jPArqnMUaBEACqMBQOAK0xhUbZ5mX1HyqJ+d6RpK6jqCIqySqCOoRwFX811UWlRWEQUROsIbcVLbic8VSt/prOCToRrEuSzbR596U1OaeOAyD+YinDDOCB71OShwt7F92c50tHN6to9r9Q5yEJ+1lPf5NI2mkiG7iuJZ2kij9W0DGSO37VVur61uJFYQ7xGMFc0NnS5iZYysIH9Iz2qHN06Z6cFLilJEDWNLcO91boTG3qZfKn8e1TDaukSysjCMnAYjg/vXV2ko6jRXHqTsuRxmn72xW605oWcJCwwmRkKfGPaqY8sqpgyRUHRwUTq0mxV78A0x9IsSku3J819PYG2mZSdwU4Lr2zXqgujDefT7iruV/ixlFrsykKsDkU7bwSBHxvCBdx2/5pWQTQNtlVkOAcEYODTVszS+kuVU8Nj2qcr8jRYB2JcBlxT1pdy2I6bkyQfcADwCaHe3FqjYEZbAwCTisXerwX9mtstoInUABlPFBJyXWijyRS2j6+uoryXft2gdgKVilmt5lkhY8civJLKSG0Wcyx7W5A3c0vBL1TjOAPNUUKWujNLMl5KWo3k14ivOqCQDkgcmvLO5KLtHKmi20UUsQ34YjvmgwpG94yRZVM9qVrRmT2NGbqlFA4BzVa0KyW5jJ8YqXJCYWXav718t21vKHUZTzippbOk7CNAYQ+48g8ViyjeZyzDaP+aLJcxuDJ4bnmtwXUJHpcU0oiphjuiPqGB4puzvJEb+WN3xikLifdHtTnPmmdKBVwS+Md6XafYUr8Fa7uHVN6gv8CgwtNM6soIz3FV7KW3u13Rx4jHuKXk1TS7K5ZXO1hR/yONfKTOUu4qOwF9azPblPsDcc1zZ/Sd2LkEttRuQ1XLn9RJNLtVcxg96+1TWnewEkLLjOBzzTReOLaiXjHPBJVVgY3tdAs4xOerJu5GaJL+sElhKWsRVzwOOa4rUbie4kLyMWYmlIJJYp1IYqy1aLlx0y0sGK057ZZur/wCovD9RIxJPJbxR5njFiHJAH9PzUpf59yN3qJOST5prWbuK6aNIYtnTGCBUeO6L8voEk29gFB54plEmivQDEZOMlQM1Pj3AgDvXVaJpOpSb7qUmE7MR7h6m/b2ruDf4oTJl4K26IBs7ue6YW8EgBPbbjFX9J/T80aGW4gR/IZzhBXV2enRiERSynqnl2XzRrgyRssfR6kTcHaeAPc1eOC18jBk9e2+MDUTW1nHGs0oeTj7ew/ArN20Fypd5d8acbD9ufx5qKZLKCeR2fqTZON59Sj2FQ9U12WZZIYiRGeBngiqPKoqmSx+jlOVplq61OIOYYB1mTOYovb59q57Up7t8SSyZTAzt4VfikYNVk06QyWwUHGDkefek2urifPVZijnOB2rNKU5v9Hp48McTG7XWZLG660SqzBCoyO2aSuLqfUGVcjCkkL2oAQiba2HAOD80zDEqAkDz5rqUdjtpuwDwneWRdh/05yBTjRvcrukYbyAPTxXjnGSSv4z3raRy9Peq7UpZSYEjwxrb25Bzu7fFb06dbWRpZYUk3KRhvHzWgnA35IPOKHOVAxgCkTsEmqDoVlZpAcKfANDe5Ckqq7j4AqXPdfTjagYEihR3zxnMBIY9yearHC+zPLLbooQXFrLdhL95Y4c4YxjJFdd+ntEvrS4lS+gSaxKFkDMCrNxggeOK43RLtLTUFuLm3juI8kOjrkEHz+a/WEl68aG3wY2UFcdseKdpR6MnqJSWvDPYHUIsECLGo4CqOBX09tIoO1t3k5rNoBFLI8ud44AryW5yxJPFTbjw+fZlSfL4k8XBWbYpyScYFH1DAt+i/fGGPzWIpIre73bQcglSB5oF9I0oJ7eeazceMHvbNKVzWjlJkezu5FZsKfelLi+2OrQsQR3x7V09zAlxZlwhZ04xwP8AeuOngKzFWwSPbmq40mtnpQyc9opKJyu/Y4JXdzkfvTtjesAIzGrAjB/FKQ6gBbpHdySsIxwMbqUivGLu8K+kn0jytLLHfRVtyVSHrmKMTMYSQCeO9LW1wLKfLW8ZKeSnI+fan7W7gulWK5CAg53N5ol9KljGyxRJJFL3YfFCNrQL5VFrZJuSNX1hAHCK2AzOew96xLbXVoDGyARgkB/9f4pxTFMm8bScYHxWomiuC8FxcMQhIAC8qf8AIp4yfS6QuXHxVohvCXOGbgUeOKBV255NauIZUeRcFgpxuUHBpeZeiBvBDYyB5rQkeZOcnpiuoRZkCI5Kj5rMccgjyo4ogYEl35Jrb3HhVxVLdUTS8iq3UsTldxB+Ko2DssofyTU51Ehyw59xTVruGVZuMUJpNaOjLZbutUQIYto3Yx37UK0kWXchPeoUnDHBNfW87RT+lyGFJ7fkDyDs2YZpImY8Hge9DViCDnzRX1GKS2cykNIv28VOmvnlgWLYqlTncO9MoNjRki5FdRRgrK4UgZ5r1dVXJRG9J8iuedJsCSTJ3eTXq71XPIU0PZVdmrFPi7o/Sr79S21rG8VsmcDHArlYy+oXbsX78nPepsxYxrJu715DdGDmPh/eg7l2aMajj/Eev98MvSGQv/NM29lI+nNcuxCqeBUwTvcSZnyx96v6gbr+GxJDaSJDt4I5zU5JR0CTbfYhGIUtGnbDPnApC6ZZ5g6jB80axtZ2jcvFJ37bTVnTNHnW8jmdNio2cFdxb8CuTp0gxmlC5EJE4BHcVfj/AE1JKqTK7ojgEmQe9VJLC3tpZLm6tQhL+ncBhR+BVH66Kxsuds8sw3RAcrjxTRje5OhMmZ0ljQPTv0zZrI5AbZjO9u4/FVbmCSOyElvPGcDDu7d1/Iqbp+vxX5NpdbYpUbgBshuP/vFJa3qzLA9nHAFiYEFt3fHtV7xqFox+1nyZeMg2lTvbTTKkjzOxA3DO0LnuKW1bVpbXUVs7K4yJB6yx4T9/Fc7PPJG8TG6aRHQZVWwU+KC0uZCcICCCqleCagptRo9GPpY8+T2MHUZFvVnXp7kJBZRnOfzRbnVbGWymto4DuY5DtySfcmppSdmkCxsUX1tjnAoUltNG6q0TrkZ9QxxS0VnxVfZmNS0gjZNzFhj3NOQ28m2b7V6BwVJ5Jz2A80kZsOFIwVqylzbuluLeEq6HLNn7q6Trsm25MTjSD6hfqk9B7+KxcmEOsUBJjWiahC88+7gZPAHYVhbNo3Ac/gUia7sbikrPJrNmdJY1OD3p6Wbc6kxqigAbF7fmtSzBIwjehQP71Iv9QYM0USYHz3roxlPRKeRDN1eevCr2HipE96WYbTyKGlxJGzHOcjBzQBGxySK1QxKPZmnN+Bm7uTdsrsuGAwcV9bxc5I/FewRMIwWjbafOK6eHRrGW3SeKaXGPsYDOaE5qKoeEbds9/TOj2+oS4ube46ZziVThOPHvXeK0dnCsUWVSNQqjOcAVyunXVppm6Y43KNqKByf+qymuyzTGOUFlYk7gPtFQeao/FbFyekyZJN+EdJc3SkErjOPFJGY9Ev4yamCYksgVm3HuP6fb9qYt5jFb9KTkkk5PzWe3k3In7XDSD210qO8mRnb6QRS9xcbydxpS7kMbbl/f5pOe8LrthyzH/amhKlxDwV2Mz3ji2eJO7cZqIkM884UIWdjwFGSf2pu4kEMJXeryHvj+n4qlp7yQ2aXKytbh1BkaJRvI/J7ZpoquzRiyUnFLYjc6ZNaRoL1WiZgSBwTj5xQJdPjSxE1tN1Mk+jGMYqhfa4l1I08jZcLtRBztHsfeo9vqIiuMOuFYHIxjJNP5fHotH3OKctMGIiFBkHOMke1PtePbaRtaFJBIcAN4+aGxDP1ZFC7j/R2A9qzHcFySpPT7YPmlu2VnFyjoUs5z0wu0DBxg+acSSSB8qqBGbO0f80a2slmJBCktyAByKDLayw3bW4xkYJXywPmi/tHQmnqRUMsstkZYIJECnMjcFTipN7p8t7cpL1YwZB6jIwAHz+K3JfXUEMiRtgEEftSNtdSwF1chgfccV0OXaJSxJppj9t+lr913egDPBJzkVm+0OW3nVXOYyOeKYsNaljTor1QmTzvJwPYewqpf3p/h6ZXezHg5zineRJpMxzwzictJYxwuWVTx71kMiRFcDexxk1qXVWinaO4gDAHwfFRpH3yMVJAJyBVVBy7Mcs8Ya7CXilGBDf2pRy2/d5rUspLdsccmsjJGT2rRFUtmLLPlK0FVcpmvsA8+a8BAAPt3rAOW4PzQoTm09MdMuUVW5xRrm9Sa1S3jjGV84pAMAe+SaypPUyOMUvBdnpYM7kqZYe3Aso2J7jgVq306aaDrLEWQcZHNWtN/T80wYxQG4iPALNtCmrNv+lIYV6jXzRSYyUjbI/FZ1zkvibHlUfydHLQWkjPsjhct7BTViGw1P6YxqxXB5jY9l8n4puSa/tLfoQWn1Dt9rZ54qbd65qVsOgyG2mCgsWTk/vS8U18kNG1O00dVpz2dtYhZJY1C993Yn5NattSngupEGnBgwyssbelj+fAr88EzSBzNKWL853eat6NbXc+y5uZiYYPtBbg/n4qsZ1SQs/TQdtyuy1qi2Ut4Qsks1xIATbI+B+c1OvNMu76QPCqWkESjYJGC7F9uK1c6jYNcrcXCpHPEMLJE33e3FRdS1gTSNt24bvg4zSykm9IrghJVuq+yhb2a2/8A6mPU40ZmIOIvTkeATUW4BWQlpC+9iSSec/4oUN7MVKEDpk+R2r2W4aKOSB1LeY+ftpdvTNMaTbux7S7m1tppJJbfrXK8QqR6QT5PvS99HKUe7uJMyM3Oe5pGQsf5jOd+PHmvAJpsvJlwvPJo09fQnKKbl5GrSY2pE4BOOSrcg1qbWLi8nLTbSW8n/ilGuXuVEUa4HbHvWYbZjKFIx+Tii1HyKrk7PmVpZOAeeKpWEMvVaNVxtGcmt/TNEEKLv3HGfFHuGwwkkVVIGNq+ak5clSC5KOjHrebO4ADuaDd3aQAkHc/vVCPTJri3MrvsLchB7fNTL6ybBUjBFcsdVZB5lLSJ0t00xVgzb88+wofMkpdzkmsy28kKjYTyfFbCle9aUlWiDmeSRoRnFeJG7HhSR8CjW6GV9qsuT2BPeur0+y32atP0ww7EHkmpzyOOh4R5K30S9I0ydCHmU7DwVOSAPfFXJt0jExRgRIAqjGBWLq8NujQgDLgAkck/ArCPfC3O6FkjwcO/ArNJyn0a4waSYqFV7oxzglQONvijLaK5UQvuMntxQY3jVG4zK3DFhk9+49qI98IxuuUJwAAR8VOWlSLy5v8AEvfSLa2sO8IZUTaxU1ImuF6xGaiajqExnWSElABxjsaoosF3bRSxTq8hGJFU/aaq1JpNIwSxOH5MFqV2NhCckdzWNFlaf/0xIxyQSKINPlmPMe0eS3ge9CcR2UyPEd23ue2aMeiVWUptL0+ICWR3lCn1AtgZ/FC1PUI7hDDaxxlI84VRjip97PuO5GOO9DtpmjuOt0wwxh9o7j3o/kqY0V7cuQtbqzTjaNuMlgfalbl1lvOD6BxmuqutPiltzcwyhPSQ34+K5aGEPKUBHGcE1aElRXk5OxyKCRFDpKSueR34/FYmEsMuDjn2onWljh6ERwG4J7kD2o0aA+oqXZQD2zwKk35Ztxy0Yj1W6t2GxUJXgMV5pabVLuTUPqZ23SYxkjxR1VZG2PtDh8c8kf8AdGmtoAcSqADzuXnNFSitNCzjvRuLU7eQEXEA9yYwM0xa2K3lkrxbWY5BHBK1ISELL0Rwx7ZOMfmjQq8ErmGURSJj7H/496FIDT8BYbeOMtlmxnGckY98ijysrRm3EoKr229gT4NfXCM+XmicEAb2Hk++BS7hgu8MGU4JYZBx80m32Gk0Sr+wlgbeRkE+OcUjLE0ZAcbWIyAa6uyubbY8VyvUGcqd2KDqEdthkezDjG9HUbS3wa0QzNPizyPU/wCH9yics4DjtWIkZn2Dz2pvEc0hGzazHgLwB8UeKxYFgXX0nhq080jyVF2Tm8g02LQFY9udxGWyeBXwtpDlumCSeN3Gacgs59pLNsYf6vFJPIkuwJpMVntBEFUupLDJA8UqIWWUDvmnJ4wkmFlEmRncKG6+j58UYydHo46pH7JD64RKriOEelRjaP8ArFT7nV9OguJYpQ8ckGGBVgQ4pO4On31w0b6hNJakbtm4hF+KgajFaRzxqRujdu68kceM0sptLRpxenUn8rKt9rk2o3EJsXEcDNnCxerHnJreqajaPpzxvG8koO08ZwPk/wCKg2upvYs8IWNefSxHb96nteSzu6lnfJywJ4Jqbldm2Pp4xaXSR9d3MDDbDBHFg5O0cn96Lpr3N/C9r1yik5C/6j2ApnQtHS7vP/5EPDbou9ieNw+DVlbWys5zcWMIi25wCScj5zQpKNiZJx50kQLrTmtZgu4MBwwPmptxbPG7GMBkB4HnFVL29aebdu475HNJElpt2CFPilhKXk7JDj09i8bPGpOSNwxgjxWJZ9xG/IweMd6eu7nq2n0xUNsOUYDB/GfapZiKSEOe/tVopPZN5W6iMLMNpVh380wlyg9OMLjHFalihFkjxKftwSfJpJQxOAKVVIuo12V9JtVMbyLj085NMvZLKQc4GMk0paIIF3FmOewq5bQoEWW5bnuIx2/f3rO9yuzpSa0haGE4VFztU8yHx+KNO0VoXjMO/Pdmreq3LyqsqYWAnaT25/xUX+JjpPbnHBJDkZJ+KZJ+CVWrZVj1qKO7Ebspj24wO4NTLzWQerHJAN5PpYHxUqCWKO53THgUxLKs8i7UBUc596rvyRqK8ApLlpIWVEIc9jWLGza4uQt1I4Q9yvinYVeSVUSPcTxtWr1rp2xd0lqUUY3HPallkcVSQ0cUZu5CmkaGUlyg6ncl2HAHxXT2kcNqVkzaGRT9jvgL+w7mk3dllDFgYsZZFOMD/FP2C6YVS/iiIdsn+YxYgjjI8Y+aXF8pW+w5nUKS1+v/ACbv/pYbyEW0UcbZDSMqdz7ZPipOq3kN/OYIcyAYBYnCjHsP80jqEzPKQsrSR7iVDHNT2M0Uhkiwp7dqGTK5JpaNOD0iilKT2OT2n0kPUZiBnikRILkHcp2A0J57mcnrOWB4x7UOWZUYBGZmA9QIwAfipxxs0rJXYS8SKRQsbAADu3BpbSLqG01JZJSdpBUYOBk8c/FL3LySEkggHnFKuCOfFaccKVMyZ5Xo6vU9WjA2QXUbgdmU1KjnW4HLjq5/vUuVY+mpU+rzQobpoGxtV08qf+6PtJ7Ric1HR0/QV4S2fUfjGKGhktJEPfdxj2rKRTi2SeI+h1B2OcH+9DecMgR9yPjgEf8ABqXFpj8ky7NbJdwvkPG2OSD3odhY6dZ9VrotI+PSN2KBperRP/JuTtfBAI80UlLqdoFHq8Ed6V60hk21+iZdQtJckQpsj/px7Vlg8Z2qScDvVa3hMUrZIYDtu5xTGsPH04ndo2k2bTgAZ5PfFTtpbNePKrSIdsqbsqvrPKnvTJvBGrJdQ7wRjco8UhNK0M3TUDGQeKMwaMgM52tyAR4otbtl7Uie5eeUlew7c44osPpw3Gc5INEZAsnURQvjvXqDYzM5UDHHnJqvLWjlpnRw39pdW0ks7okyqSNwwc49qjW+pQIhWSHqAjGCO1LzTrejEg9YB9QHJP8Aml2Bg6YlBAycN5/FKoX2SUVF0ORxR3DFFOxixKgnjHtWMTpO0Eybztzhj4+KNbCKSL0KpcMXLNxgY7D/AJpWe5ja6JiLAeCxyc+34rkt0O2zUmmJDcK9yrmJgCGTjAPOfmvJrcWjvFHIk1tI+6Pac5/v2p+1voJoRb3xK7OUdfGfjtyanrGkcv8APjbaOxVsEU/J+TzvUejWSLpUzQ0u6u5VLSpHHj0rnO0Ua73WI2SlmYKOk47HB7GqMMtt9N1Y5TkcEHxSUCnUb1pnGYkOEFOnGa0efP06xun2TX0q8uJRLbwMY5ORz2pWSF4ZWhnQqw8Gv0ixmgggw2A4GAKWvrG3voZGliXew4bHIq/HQVPZxlvcrC5AlJVh6hjOafvbyyumjgt4NsZTBklbnd78Vzkoa3naNxypxRhcqxY7MALwAfPvU+DrR63vRbtjN1E1tL05eRweOa0uGmWOLDOxAUp8+KxEkM0IZH9ZyXB5xjzXq3MYRVILMh9Jzxj2xS14DyvZ0tvb3MUsIklEhzs2dQds1M1pp4VkEU+5ckMD4qLNfzvKXDbcHI28YrwTy3LYmcvn3pVia2LPLaHLKa1Ns0WCr+WJ71qSZBD6AGwO9D+iTAMfGe9Be1lRmCkEHjvTUm7JxyKtgWuApIOST4FEdAJY3Y7SRg/Fe21g6sJph6RzWXLXV0SoO3Pf4p9Lokpc5bK9tAqRBHbKg5r1YkM2ECqh5LmvLRoSP57ZUHsDVieztOlbuMpHN6i3fj2rJt9GvS3LoHbrpwBxOjY8MeSRXstyLhABGEjAJU+f71y15bkXUm0+nccVsX119L9Ksn8tfFWhjSWiblb0O3t7uhNtvGAc4B8/NIYi2ksTuz2xSxUtlu/zTNsgPqPamapDJDMFrHMoITj8VQXTZ0ZNtuy5IA3DA/3pW26nVAgDbh22+K6GJpTGsTM0szfcx5/Yf91nlJ9A9u2MpGGjiht4ohP9v8tdoDf9fJqgdF6MZW+vemz8J01JHvk0aySDSrcTzqJJ25wuDs+M0vqurW0sBdevHOCBsB7rnz8VeOOC3Psz8skpKOP8fsRltLSKBp5rie5Vf6dnTB9vzSV3PPcxNJAI44lG0qpA48Y96Fc6i87b7pjKiHOxfSD7fjigX2uLPFsigCg8bB2FTk1VRRvx45ppy2JsXDEMW3L3PYijrMrhIpZlCd9xHOfmgTSLdRRuFKOowWoSx/zQjtvB5445qaWi852UIYI5d7rIAicjPnn281NuyjSMFwTnuK8kklgbphiuDWYQsk+GPL85NNGNbIttBbORXk2XKDYBgE0rexwiV1gLGI9twwaduzHAwJI4FSpLyEs3XDcjjb4qmOLbtGXNkTQlO+3gdqNaWrSKzyAocgpkcGhRwnqrLIwCBv6vIrd5cO13/Ic8DweK2JUqPOcrZbuNeVf5UuCwXkAYFJw6rFczCO5UIhb0sv8ASKjFGZvUSWJrzYykgjBHg1zhFrYYuUWdZNpoI328ok8jHfFP6dESyPLgyBT8HP8A3XNaIlyLiOdZenbxyKJGZsADvV6fU7LrEwSp3yAprLKFGhMOeobhlIyGOazex7todTu7A+9fR3cTbZMhSTyR2pwSLnMoGM5BqTjZaEqJSWLwOzzRl1x5zwPevpSZykcjYSMAKw5481W1W8hkhWO1kKu4xn/Fc5054WO45Pnik89mjFOyytpC1vHHFGWcnc7N/sB8Cp+qWf0oVgp6b98+DRLXVZbRMPEJEHGc8ivr/VBqFpKdhV+FVccAef3pop3bKNuL/RNijHVUZIIPPNNPGAXEpyO4odoYempmxkkqQCQw+abgto5llKTetBlBjJajJuxlJVYGSBekF5Rwu4Z8itDSFeyhuOqd8rMNgXtjzmg3JkSXbcHLbfSx/wBNGs9R6DfzgWTwfauVpaC035AyWskQVmcMh9O7tg1SMUMtuQjYbaAEJyTSes6rDNbrBaqNpbcx8ik479o4doxg9iRyv4Nc4SaTJqSumOvBHAZ49u1iB93P7cVQ0JoUtgM5K9we4qXI6XSqyn1KuSwyc/keK3ZNhwzFhj7seB/mnhJxeyOfAsitdli7nEcm+MEhqPaSy3DBSxC4pe1nSNMFlZjzyPf4ppbpYzvZAMe3mtMZKXR5c4Sg6Zwd0VkZmUZ570Lo5AwwyfFHtIwkbb2HftQmR0dig48E0q1pGpTvsxEQkwDnC5wfxTOo9NJtkDBkA4IpeNGeQEoSPgU0lm5flTjOPj8Vzq7O9ziqFULsAmAM1Tgs+iu9mBx3x4qxp+gmWKNpiiRNz35xT9xoljcL0rcyIR3Ibg0abIvKcsbkAEL3+KzH1RE4KZcnIJ9q6r/8cg6kKxKNyNmTc33cUxdWLRypPPAkexcA44pXFiqashWdpPdW5jmiIz2Pamo9GVB0UIyRyfanRN/WpOQe3imrfdhpT2btUsipFoTZBbSYbCR2kLOgXIUj7zQW1VtphAWNRyuPFVNUZpSzHkgdq5Wcl5+mi8k9qWCt2xpZG1sajje7LSMcDPc+aQu4SJigJGBzgd6sRssUSp2wMc0RGjbLYBPvTp07Ee0c9EzRIwY8DwfNM2ysdu3knsBVQ6Nd30+UiEKsM7pPTke+Kp6PpsFqXDyZyuGdVJGO/wC1dPLGv2acKcU/oNZRO8EUJDvOeCEUAE57f2qg1vBYzbbp5TKACIogeT7ZH+9DfWltZ0GmxoiJ3Y8lveql3rLzhUs4nllY+napI/H9qnjjBpvyPkeZNLjp/v8A3+iUlvqVxNmK2EcQ5AdsKg/zWdVFvboHa4L3O3DhR6Qf+hS+oTX8e4SO8av6iCyk7vbg9qTi1HajQzpnqDA8lvyfaulxV0tl4Y5upqq/QCJGvLhIldUDHaGHamdQ0ZbOfopOrkDcCv8AxU47RGzqwRl8ZyT+KIsjy4zIcnvSb8FMrdregqwJEu/eAV8HzQ+lJP8A+FQMDPHk0zJbKQnTkzuHY9gKGk8dhJKj8Ejj3paJL9CVyWnCI0SoyEgt5NZubI208TO/pK7qLOrz/wA4H0n2pK/uXVyZH3sgAzVYW9InlycUDvJ43LPKxzjAFT4oBNl3OfgV9ky8kHNEs4XknKRhjkdlrZFcEeZJvI6R7cE7AgAI96BHGxYKgyx8Cq+nWjx369eMMin1ZAPHv7U5JY2/UP8ARzxu71OWZR0bMXpHLoiiwlwH3HPjHetxWkkj5dSWPlj3q81qZbMlUCpD3O0/3zQIUgMvpUbf/ae9Sed0ao+kgmS7+JYYo40kLHHqHgfikdu8hRwSfPaq190nvXWJSkZ+0Mc/71PeAo5DYwverY5a2Z8uPeg9pcrCelOxLbtvuK6COQxxNBIGZhjaD49/zXJHCS7k5CnIyO9NSavfXE6ksu7PAC4oyx8ujLycXs6cA5EiKrD58U5DFBeSdJyVfHp44qRpl31Z1WTCy+Vc8NVGGQF8rlSecVmcF5LKb7QDUbSPT90bncz/AG7e1TumOqGY+hj93tVfUbRrxkkjA3DvSd3atYsm9Q3GQM1P8TXCakkJAKS7Bson9WPNYEpZXMZPA8VtljZW25RXPI9qNbRxgsAo9smi2kVTZM6zmTMnqI49XNHjTeQvcDwe1UZ9GlEInAR965AVskCk4E5wQSftp3JeDk7FLu1eNyduBnGR2P4rdrZidijShMf1N2qonRktJI2B9X2gnsalFnhzGD37fNGM3JUK4JMI0FzZlZo0dQy5DD2/zRLG+eO6L3GWVuWHbJocFzvlxcFu20HPAFMxy28l08RdWQ4wcYBrpftHLe7HpWt5m60cyxt329yB+a8szJOpMt2Ex4ZOCPzUy4t1i1DZEQ64zhTnFPXGmqE6ls7SIe4IxtPkUqbitMnKEJdoqN+lLS1m2sZCR3wRk0rqGj2+1I4epG4b1bzkYqtZXE9w5MikI7EYxznvgVP1i6VNQdTKwjxtQnjFa2keP7klts86On2VgWnhZ4shS6jLA+/xXNieRGkhjk6kZY4J/wCao3yvJZrJDPlQSGUPgN/81IZWQhwCPGcc5+aVmbNN2WrbVZNPsOhtEmyUAE+EPiujiv7Tqtb20gaVAGYY7fvXELMGtSjcMWXPzjNP6dcCznkumjaRFUIdp7ZP/wAUqk1oEMjWmdlaNKJDMQGY/wCqi6/MqqiyOudoYha5p9fkGniSBVS434IPIA75pjS75tammiEX87uBnO4VTkmqRZTjy0wiiORB0gfnPmqNrDtkVZAMbT6W7dv+aiTSTWpdUA3A4+M0M6jdSRCKcR9+WTOaVRRdyM3E0jSyxHg5OAe4+KRtrUJIzSkBwc80wNqHI7k88UWe3+ojWfeF2r/MyeTz3FLwroPMn3yxyKMnJHbBryzimEirahi45GOcfPx+aBbxtNdEdKSUL4Q4J/vXT2Vs8KFUVUV8FgpzjHye/wDxUskuKorixvI7NwrMbVOpKzOy/wAyQj//ACM/7mrn6dghG7cplP8A/YdpKgeAPc1z9zeBI1KbpnYkBQTtA9iff8Vd0TUpvpGhmcRyqMhdoVUHsKTDXPlLo0+ojNYqiLXenaLbyO6zSSvv3EEhUQexP/01Kv8AVUt5CI3WMkY/ldse2aS/ULGa5Ywk9M+psdt3vio4SSWFlznYR9x7Ci6n1r+C0Eopc3f8lR78TRsoAOecjvTzRWxtFkEQ6WfSfKZ+fNc9aIVkXfkLnDDHis3csizdGJnKDkdxn9qX2/CZX3EyndS28KssYBJ7kjvQIJkWMk4yV4HuaDLZT/Ri4w3vz5rdjb7Z4TcAiMnJA8Cuiko9nZAgkKlSx3ZXn4+KxPF9Q6kcsRwPeh3Dq2oFI1ZYgfSGPOKxc3OCx4UAcZ8Uyg7VE5ZFBbPJLnoxLAHxtPJ9qnvG0kzZcEZ4NLyszyZBOKo6VevDdRF4YpUB5VkBzWri4Kzy5ZHllQGK03E+vJDYwoqhYac3VHEjNnsoxmrlukTxu0oRH3elAMDn3r0RzwSmeGSSOMenI7lvYVnlllI9PD6eOPT7N2FrAkaiZWWQNja3GR+9LahGwvG6wKszZ57ke/FFMk8bCSQ72bkE8ilmkummMgQSHvk8n/eoOS6NmOLUuVjDS2zHayBMIFCqfux5NT7iZ0sxBCiIe+QuDn809LJA43biJ2woUgd/8VOuGlVX3qGJ43DiuhbezqVUTS7NEeoo3HjOKXljJPByTVeG2+sYIm0kr2PGDSF7bvaXDwSqyMvg9xWmEldGPIvDMLb25snldnEi9gPJpKSVmjVBgBTngear2kOIn6mCpFTp4eluPjnFUhPbRjzL6AxysjGViWbGBk1UtdRuJ4o1ZjuhOVNRlYEDIo0byIp2EgEY4qkoKRlWTidk+poWhcQmJHABwcjNHZBeQsd+Tnjd4rlrO/bpG2m5VuxPvVa2u5IZt59UbDnHis04VpmjFl8oe1XTFt7WN0BO5d27/FTIJNwaPcAQMge9VtRS5urZHinYoo4QnjFQVik+pVGOw+SO4qXCuzbjzclvsr2OrR2ULI8ZbHbxz81Hkuj9Q52AB2ztHit3kJtQo3F9w3ZIxX1qvUcPcDKg8FTyKKSSsqtu0GunjuYVS1Z2lTBwFwPn5zU14JWIMhwfmqDOYJC0YMbMMHH9VYtIJ7u46EaBnc/2poOugtfYFUj+n5OCvfFJxBpJgibVye7cD9663VtBTToU2nfE6gE55RvNc/dQx2kiELhG7nuaZNxbi+xVxmlKL0D6cxO4KFz3K+aNb3d1ppyW3RueV3cmqVpdWMcLPPCZM4Aw23HzWhe6RNIUexAXwxckik5X2tDZMba+KKbJJCjSRSFCOCwrm9ailSOMMyyKDw/9WavXNysVwba6ZV2MRuHIxU++NuXGJSGAIXPAI+a2SR87kdxIdtLCkbxz5KtyCPB/FGIMq9NDuyMqD3NHmsJbhA0cMeP9SODmljbzW/3ROMHyKj5szU0LAH/uui0K3hu9JuY5HAeRsAecgcVz/wBzEg/kVS0eeaJ5IISQzYNMg4vyEpy8LsjqQykqwPvTek3cdn1H3EySEKoXg4rOtRN9UshB/mdyfcVjTbbqSGd+IoTlm/xQqgpOM6R0iW4e2uJWcYUAAZ8k0i0RDA+KHD+omWOaBlSO3fu2OaK1wu5QEcgkYwtUWzVGaYT6R3XqjsP96Zjt1nQJ1I12kZz5/ajulxDbb7lmjiXCooHqb/qmLeSC3sg5iAkkOR/Ucex9qjLLHaTNOPDKVSrQnOILCMNEqJKTxlck++B7Vm9ttWvAFihxCqAsQQB25zVMqFRNRvxiJsqoUf59qA99e30cdrbqkUOS29R3UfHtUFFN7N8OX+lLXbFbOwVLQzXTFWXO1EGQx8c+KnGW/kvulEhYykLhBwP+qauz9L/6YZDD71YcEmgW7NHOrJLtfPbB4pXKnTRoWG4uV/wdYNBtVtFSZi0uBkA5rktd0v8Ahs2/cNjHIrtfqZEeOO4UB2A5z6c1yX6j1FZJcXSRuFBWMKe35q81BUktnm4pZLuW0RxM0rsgKxqVxn3rEW92IZsHBAOPNIpIwcerinC4NnIxHqWQYNBxNPOOnELA1069F3YoDnmqHViC44OMDtWILhHsh6ACvdvJqU04jEjKcN3PNJFcg5Z8exiYI13vUbpG4AJ4FRpupPdOu053H0iiy3AZEeJ2EobnHkV7ZTNGxCRLI7HuRkitMYuKbMM5+5JRPRaKJEQo2WPk1f07TYIlikcNBG5OZCMkEdsDuaBp9psP1E8g3Mf/ABqfHsa6C9hRdOSVrkqo/wDHBtwT8j/s1nlkctLwb4Yo4qtVZ9bXGnwtKY7WS7kbO15eOfgUF457YdS5fbx6Y3Pq574Hf96mwSSTyKssqwoD38iqLi1ZljtJJLi6Y8EcmkXKWimThifff9f/AIIy6tLtWLpIUB4WlrqaVSC4LR98pximpLR445Gmt3GeC2O1TmlnXKfy38EYNBYlejo51HxRVsp4Lu1ktYLePqsCWMhx2+alIuQYmlcvGTuiJ4H4oljvjBucIFVthx37e3tU8ROL4yndtJ7imjHtB57uPTCTzta3IMYK+cGgSB7u4ld23MecmrE+l3FxCTGnWYdjn1L/AN0hGfp5ZhMuyQJ6gRgg08JLja7J5HvYORmhsiM5LNikZ23xqW7+aPKXf+axyrUtOjBlDeRuq2OOzFnlSFsAMcDg+1GaM7fQDjGcVndgAeM1vLNyueB/tWk8/swrFWVv9JzViW/s1MXTPdRvAHAqHcZXaccZrEe52OATgUsoKXYYzcejvdHngdlhMn8tu2eP96X1u4hjlEUcYLIeXXzXOW2pGKTlTsAHbwR5roEit7qMSqQd3ORWXJBo2YcquwRJl04t0y/sxP20C0hEqsuWDDGFAzmuigto1sUVcYIwSKXttOUTuGf0+ccVFprSN2LNFvZPv7WS0dVlGCV3KO9D0rUzYX4kESsfOeKq6m31FpGj3AYwLtCY5Arnn3JIXZx0yAGyOcChjkr0Xck4fL+pXh1+5gE0L7ZYJ3LOrLn+1StYkgu5EkRTEAPVk+fik3uWeRkhBUDyRSsmSx6hJq8YNtNszzyRf4RHklgitjks47du9LpIZpBHBEQD3Pc1ia8P00cYRRt4WhRz3FtPvjJSTGDkVWONdmeXqcl8UWtRMm8yBGwO2fH5pYSyyLiRwQOwAxVW7t7zosyhkkYZYd8j2FTBo91JIFClAe7yAoq/kmjNN6PHy2YjuZbeTdE5A8jx+4oqXqTXIlkuHiYDHbIpa504w7tt1FLt8oTg/gkc0BbO4Y7QAT3xnmlVLyJGUo9FyOxs5kKxP1C3kMMg++aTuoJ7G4STcGK9nHkexqW5MTYVsuPKntVSCK4eyVpLlykgyVPIoyrsbkn42b1C7SeCEiQvsBJ3DsT4qUbyYW/06senncQPJ+afSwnkkUQqJgDlh2wB707/AAeG4ODMEk/9i5H70yXlnOMm7IEbl3UlwCDwW8V01k1whTEm+U9mUY7/AP3vQ7P9OT787w6K3pBTCn+9Xo7S3t4TiZVKHLzE4A+BU5zSRr9L6eTdvQIhUiR2laSYMGxnK/g17sMimabcodshVHcfFbTUba6YW9nCoAHqnlXsfgf91gW307Obe+LSAYXPbNZZQs9mMlCPF6f/AD+w/eavZrb20a2ynoc4c5x/3Ui/vzfJhWVW/ojjXuPnFc3eXM/VZX7g14l02S0RZHxgMpwarU5LbHisOLcex24umNttkYDc3DYyf3NeR30iPHIowY+x75IpBGDxlXNHtmaMGF8dJ2BIA5ocUkP7rk/0ULnUr7UpGluJWOOQM8D8VKzJPLtkJb5PinTOiQiGNstnv8UnIJI4X9OCfOPFdFtu2Sm1GH8AGz9UVyH5wMU9eIINNjGOZn3fsKj226S4yDz4Jq9KwlMU8xAhiUKATV5LizBGfLYCW4EdiAM8rk1H6zOxOacS5Sa5kU7QpBApQoOox3AjPcU2OHFbI58rm7TLGkxaQzKk6zyysOAfStPQi3ErKIlij2kAoOc/NJfp2y+ov1O9QvbL9qsXmiBdqJeI67sOIx79hms2X8ns3+jqC2tsXjuIInEVinXuWPGeVT8e/wCaoyQ3TW//AKox9bHqJJJzTGkaZDFDIz4tRj0Ow5Y0aOzuriR2llUjHG0d6Rw5JUizmnJuTIosUmtWKSFpByT7AVrRD/DtSM7SDGwrz4ppLO7sXLM6qOSCeKnMwDsr7Sx570lziyywYsl+Tp/4hDJmSX0l+wI7iuV1Wym/iW+xgKpJzs7YNdDp89pp+jteXcIlAcYUjn8DNQ9V16e6uHktE6UIPCqOf3q1SrlZnjBcmktLyJzBrWVgQFnT71zkMPn3ocM6OSGwobjjwa+txDdz9WWVlb+pcd61d2LRxGaPDoe5U9jRSvTIzbg9HiXDW84jjdtxNLXsUr3TGRy5ZssTTVlGsimbgsB39q8IUiR3xlicbjQjSejsk33Ikzu6gRgHjsKGimR9gyWPn2okkry7c7cgY4FGiAt3BODkYJ9q2RVI82cucrFtighOSe35pyNOmoVRyfNLTxF5iVyfxzT9sSVUj71ABBFFix7B3FurrtkUnjg5oMVpEpCklATjcPHzVKRg8OON4/asxRjLHPjsff3rkwtIjG3eF2jb7g2CT2q/oURhsrqS4cIqMBGCRgnHNS7yXrXbvwOy/wBhjP8AtWpoxJZg5JMZ/bmumuSoWL4s6CKcSwnpynafY8UTSZXubsxM5yPPvXMWtw9q29M4P3KTwat6Xdxm8SeI4DEA+4+KzzxtOzRDJaooa5aG1k6v+ociuW1B2km2Y9K9/mun/Ulx1WDZYAAZz4rn0hEzu5IJz3zUYUpORtl+EU32Ks+4Ln+kYo38OkuLfrhlRW+0HzSxXqXBijOQTjJqvddGC2itSC0kZ5ZTnNVk+NUNjXuOvADTbFba8RbyHxuy/YfNZ1K1aS8M6gbJOV+apaleWcyKbbcrquCGOSaiC6ZJAGGc/PakjKcnZRQxxo7iQBWXoOxAxyRjmk72ya/VAq7plzsXjaT7Y81Ytrbqts7k0xPp8VtskmLBc8qoycVucbR4Dp6OIEclufqbnokQjhdmQx8ZpC/1a+1STbIVRe2yNQoP9q6bVIbQowLoxkJ3Rg9h4B+an2+lKZcQKEJGVLtwKlwrSEcPojfRrHLHHjc/9XPn2quGjRDbsDhVBGKG+nyxus0xR0TvjjB8UPWJpkVQvAK5B/1Z9qX22+zljrbLMFoPpIliON4y3jJp2yg+kO0JulOCzHso9h81O0W7kmt4uqNrrgbqefUDGZLOzCXNw2eDjaB4/wD1Tymlo2Y8Ep7XRu91K00+R1uRLLcD7VJBDZ7fgVHu49S1ELPIgigTsp9Kr8U7c21vptxFdaowmuVG7ojyfBPsKT69xqDSOHWKJecM2AB8VikuOonsYIN/Lx9/+hjT9Jn9LzbYrVjklDy2PAzTeqjTwVisVVQAMtkkk0pPIsCCJ7gSFBk4PGPiuevLqR7gvGxA7CkSlO49B9lJ85MozLbmCckfzDgCp9tbRGOV3YDaOPn4r6KaSUcrwO5xX15ZbFaQSgDHYVWEWtWQnkUNVoVmKQzKVwy5zimr/UFvJS8MAhXAGBUyWCSM5bJGM5pi3XqR4I5z3qziqs5TPYUYyhj2HNO311EtocjJIwBS0kiQgedvcDzSLsZpeq5DAfao7V0YcnbM2XPqgumxqgaW44j8Dya+vr1rv+VGhVc5AHkV43UnXaSFC9qdtoo1OFBJxgsO9Wrdsycm1SJ6WjFcKcseMY705b6PeOwBgZR/7uOKsafK+mOxit4nkbkSSZO0fHtVOwtr3VZRd3DCGBDh3z/xUsk53UUaPT4scnc30IPZvBOsbRiMgDCL2xXS6Rp0P1aC8lQOU3iLyRSjdM3LXcas8Q9CBzggDzQL7WHTMsyckYBHBIrKlGMuT2epPnlgoQ1op64JLq8WO2nBhHdBximYLyzjtOmHCmPhge4ri49bKylgCc9wO9Hg1K3kBe4badwwMckVRTlfKhH6ZcFBvopfqaaeeKEwIxQHJYds+KhWc1vH1FuoiXfG1z/Sa6W51K31GLoWrqkMJ3Mzcbj7VzeqXMctzhI+FXnHmhN3KiuGfHHwaoY1GSedzH1esCm4AEdqkBugpyO/FeWiPKskgYoV7V9PC7JvkJPPqrkuOmxJytUjyyultZmkZVfgjDD3pqa+P8NkY+n07RjzUvp5fC0zO7ppPTkj4ZuGqjS5Jkcn/TZ5pt6kNpMHySQMYpe9l+ql6gyowAFzwK3Y2qyxANkbsnOPAormOJ9qIFH481aMUm2jzcs26TF7S2kuJREh2leST4FWI7W3iiDt/NOMZPavNNkzMVPJZe+KYuAzRNEGYKpztFPdkqoPa24dF6Cod2cqq8j815IgyAdpU8MCe1K6c0q5UhsdhmqHSOCWQ4PHNA4kXafTNydwYZWkheThHVgvq4BHiqk9qJ4DGdylMlD/AIqeLZVUtuJHbmigOxNFAyCc0/I4ktViQBcd8Dv55rUUSYRlhyM92HemprAdIvbgB8klM4/saNgRGXCkZAPP7UVSY5XdGbKc4HA5+K0kEq3iQ9IiVjjDDIzV+30aBJCbgGaRhgg/b/8ANc/2cgOpytqWjw3CkbQNrL7Ee9R7SFnc2wBJIzxV+5hjtIeiESKFm+0cYNbsLSKKUvFkzAZ98jzWXi02vBq5ppX2iJBZtaXsayJ6SeaqTaaHkEsbgqPFJavcyC6DFMDHf3o+nXbSEgA52/tUpp3ZbFma0idfQFZd0fbzSEsMjZk2naO59q6WExziSMpgjyalXcTQ7kyQCeRRx5H0zVSno7r+OWVrLLmN2KEgEecUhq2tz6m8VrZRiNJOXc8kfGfaogdYl3rIspPcYxjjnintJkha7UPlcqTgD2rfZ4dFK00+3tGRiU3jG+R1Lnn47f2pe9LS3sjh2ZhjaNuN3/VUo45J5RDbyMUxksPSfx+K1Lp5iUPIVj2/aM9z+K7QV3Rz2pF2CRlQOxBxkn34ry0sbdohdXsR6Y4xK/j3wO1N63Jb2/SjlLTTAkqi/cT+1eabpMt+3W1aMwWyjckIOB+9ZsknLSN+L08Yrnk/sedR9UzDpwW1sYvS85G3I9hQhe2ulR/T6eA0ytlrjvn8Ur+oNRPW+nt1WOBBt2IeDio0z9MHBOGHODUqb6N8VGKXL+wze3azgSTOxlJ887q8hnnXbkIu4FQWHAFJRzQoH2gOVPBYeKBcXM0wAz6c9hTLH4Oln1Z0+qadb2mmW8iStJLIu4nPGK55G3MVAz+K+m1C6uESOdyQihR+BXkDAjB/vRUWrJvNa2PQl9yK2MfFb1GB/o2kz6c0kly2GCJn59q9nuZp0RXYBE7AUYxaMuTIpMVdpDtEzsQBwKds4jKGyCFRN3tQhGZmVlPUZvAHavZne2faQQQMEHvVlC1szzyvpA33E4HAz2oBjKSEn27VQAlMRfarhhwf+qF0t2SwxTrRHb7PRGrRjHbANPWexV2qhz2J8mlYZFBMe7t/tVbSYLXJmvZwkQ7KrepjSydK2UirdGIIJJplSEZJPPtVp0lhiSKMkY5UA8E1jTRb3Go4jZYLdeTk0bWdWhtn+msMSuBw+MhfxWKcnkV9Hp4sftNJK2HnubSC1EF+Wa528Kn+aiXY3EyXTq2RgAeKG1leIOtP6ZG59Z5NO6dpUqy/W3oDQx8gHsTQtS19FLeNXHz/AM0c4Y1EpKAqufIoj28ZiLliPmuk1W6sWijaOHBP3DHGaj3qQXNpuiwrqc4FCOTdePsLhk48kyYrTW0bEHMbHGaNCoCNM557UvMRJEItxGPFDjcnMZPI/wB6tx8ojHK2+MilHNGiY7UvPOXYqnbyaXdZYwC6na3Y+9MWsQEPUbv4peK7HugKqAdxpnUwJLWDpSboB6nHs1BuIibVyg5B9WPaixW8kNmIp+QRu2juKeEXJqSM2fMl8UK2M7fVcf8Aj2lDj/ajXEJcAr388UWwjgRZFUYYnIya+LO8joATt7cVp/gwXe2E0yN7dxMp3ZyrK3kVYkAkjWRBjcKhvfOG2dLbt9+KZ02e5cy7DuRvDdh811Asay8ZJzjHIxTSXW9QrjHjOO1CZN0ZxLGJNoOFBIJ/NTjJcNIkbq6Nux8GuR1lOfbbxs2WkB9IwpOf2qfEohDCUFGI9Icd/wAV0toFazAjwxQbVAGMfJrFvE03Ut7qIPHjjIrjrItkhkmO9iSvKg+aedEXBfG5sH8fmgIBbu6XGepzsA7AZ4580a6gmkKypgB1zyc0GcH0izWSW5d22qhG3POM98U0jW9tdF7t8gDIVRyT/ivtBkW3syjuWlLFsMO1LpbG51De8npJ9WRXNpBFdahaeASjbKJG3c87T7GlBLPFJGrphtvde9dFd20dvbENyW5P/wCvFJ2drGzbmPngHvQWziF+pmkR7cbRiSFXPwRkH/FTtNu2tpcSowR+M4rpv1XbyRtaybRsKFffkHtUa2dX9LrwP70JRQYy2E3AOWU8HsRWpoPqIiXILDsRWTby/wASMNsjyowGBtwRn57V02j6EI8Pe+rnISvPn8HRshlpWc1psCXslxbwOknTbiTaRx7/AP7p2O6FvNLDC25V+8rGCSvtk0rZzm3ZoILbmXhtpI/+4p2G/FtcSJAsT3EmFKqvBH79gPevSlNRMePFKfRS0jWLe3R2mYIWHJYUhqGpXWtyoNNjKxodvXfjv7DzSdxaxi5W61No5QTzDGfSP+6VvdYQyn6NOiqjAwf/ALj9qzSyOWjfjwxxuy5EdM0M4kkE92/LOxy2fz4qLqWtzT3AzI3QH9A4A/FRLm5M3qY8il2cnG7JFFY3Lsb3Ix67D3UySTkw7tp8E5oU0rGPB48Yr4lVhBU8k9qxIkghEhjYIezEcGqxiiUsj8g4wc8CnLQwx3CdY5XzWtItVuZN0u7aBkYOM/vVlIbVhKq2qqrcceB8HvTON6JPNXRGuoSXadk2RseMmgG4iYBQjH4BxzTZt5IbkWygyRk5XdyK9SxDTOksYVe4A8fimjBIhPJKQ5Z825DqqDlAqjuM55qlptraTNIlwiKFUsH/ABzSSARRhETaoGBTSI84gtoFbec545JNE7wS0kMcpmtiUZf+Pf8ANJhTLKSzFsnkmrx0h43ZGba5P5GaybRbNzFIE3A4LD3rrBViccy7Oki+lPtPzS9zP/MPUABPt71WmghNvGRgTZIIHt4pc2MU9rJk7ZY+dxOB+PmuQX0RIgjSM6kgnPerGn2M07oscTYbuSMCvtO0C6ni60m2JB2Z+Nwq0Lz6COOMymVwMID3JqGXMk+MTT6b0zn8pdCur2CWsC9GQrL22eSfim9Kto9MtZZ74o0rr6QRypryaGW0g/iWoc3DH+WpOcVEvdRmu5mkY9/aszu9HqwxqaVvSHpL24urjLvluwFNXF3NFbfSyzAqOdoPaoBuJXKqo2uP6q+f6hWAlyN3bNL7b+yzlG0kujdzcu+VydgOcUKGQkkZ4NN3tp9LFE+4EsMmkWk6twSgC58Cnik46IZJuxmOFDPHuwee1L6miQ6miRjG6sLI9u/Vc4APmlo55L/UllOe9WxxdOzzs005qijKsxCpO3pT7RS9xeJCCi8sRwfApm/O+Y5cgeMVLuvVbog9Qjz+apDEvJDLnb6HLCRzazSE7iWAJ+Kr3wSRVuIgWWRAQR48c1zFtLNEhSM43dxVG0M8KgbnYA525qtV0Z1Kw8Vuw3TnIGCMe9Gsy1xP0VIy1U7bp3OmxMADgEEeQanpA6SmRMjnHArjgsmnPcxO2GKr6d+OxodrOtghtJsdRhjkcH2waq2svRicDu4wSfFCuLcXaSYQNKi5TI81wTzTXM0Eu1SSO645x8U/BZPNfHpxAoBz5OKR0gXFsvWkGzcvINdLoV1bSRTzEnqF8EKK6gApJ9qCNEMYA2kY71tbeaODqsR+M80WVJp94RMITmvYi/TAk7DihQLFPoYbhDHMD7gjuK9WydJZLdFEcKDJI9vGadWdDJ6lC44yPNT/ANRs728bIcQn0yEcfiidZzd3qn0z7bdeo4Od2eAKtaFeR30TSDCv/Uvsaj9CDaXUhx7Cmbd2sZo5IYhskXG0cbqR0xlaL9wg27ic/HvQ7aEtLhEy5+0Cp8+sWyFhIsgK9hjufamtN1K9uplWztAikYaVjyB8ULUdsL30T/1HK93KLOA7ugcED/We9b0n9OSybJrtjGO+0d66Oy0uC1ZpNu6RjkseadOAOeBWXN6hvURoxoBDaQW6BYowD74rbssY3McUC4u1XhDk+9TZJWdyWYmvLyZlei8YWc7c3cFnOs8krJHLHn7dzZ9hU6XXoYrZksYVhLHDMfU7j5NJarb3lzI8jMDGPJPn2o9n+nJJEjLzKN/hBuIr3eHJbFjlUNIWgS91K5PRyzbcnJwAKq6Pp8NvMZtTi6x42KOVHuT7002lJpYKQzOZSfVkdx80/py4bqOqjHg06gkCWeTAala28sjuLePoEjBEe04qTqWh2ymN7acqpXdIncj8V1mqyyS2zMh2nHBVa5uxlnnvAJYSfHApqRJTdClta2qOphBkAwAWAOD74qzqOlJPpfVluEYKcjxj4I96BqUEsG+K2tow6AMSw5HzxUKwmlW5YXkxBZsbWzxXJIRydjMcCovq59gO1OWyOz+kEKB/eiywxm3OADj+rPas2d0zTBSSQOAfGKNHWYu1WZM87kHAx7U9oGlpd2xmYjB+0sef7eayts80+VOAuTwKeSOURpb2rFWGBgDBzXBBtbWssjbCQYeD7A1uARxXccpZXc5PwK9mgm0+waBom6tw3qkPxS8CAKGlIK/muo6z09SXrGTOWyRnjmlVt5Lmd5JVCwqDhlOQcexNNW0jTyMoyWzxnzX01lcyXfSTJCeGPArg2Tr6DbLGYGYrtH3eD7V8sUq9MghmPLAePg0/BAZ1aEvkl8k4/wBq0kj2kZt0t1Z2PBXkk/NSy5OCLYMLyyG4YFuogJQznHA3dqUNhbaS7XFyTJKT6FbxTcd3FpoVpiDPjOBSN9crJN17z1FhlR7VilNf1PVhBrX+knX91PfyBp3O0faPAqeVWLz5o93qYeJYlRRtPBFTS7O5Oexp4xb7GllS0hkThpd2AMUC+uZJJAQxO2vGJzuPegXEi5G05PmqxirshkyUuwrXM0wHUYnAwKLCESBpGcB88CtW5juVSLYUx3anUtYk53JtzjLc06hfijJkz60TtS2z28QRsnPNe6FEv8REZ7FTz80xfT2bhxuG6M4j2DGT7GphnlspxMMq/wBy1aMdUY5T3Zf+kOZtz45wDjvU14djHdg1qPXTcELcxDLcbk45/FCkmy32MQTjcaItphlSE3MbBMKBzx5r6WYCUkAjBoazAR9NwBg5BzRbcC6kwysVXuQMmuOKloxmXMO5Fx3qhBGCGywBUbueM0P0QogX0DH2nijiCSRQxU7PfHagE3Dbm7JCKZGPbHGKJArIzCNfUPevmuvpLcRocE/1Ct2LhY+ox5Pua6jrMLFI94ruwEB5KEcg1q0H8Neaa4nXbM+5QV2j9qoBkwGH9Xipurrdz4FxMnQjbMKgerOOaJx0CSKcPGdykcc1m93OoZV9K+1c5ZagumhnYSdNhyh55+KJB+per1UcbVbO2pzyKOmK2kW7R7W4tpAkgMnYDPOaFe6dLcWMkHO4epQfcVyUE72+oRybvT1MnnAPNfoEmoWgg6iuJZnTCxrzzS4sqnHehYys/PIzIis6KAexJGcftRYbfULu6EkAeYjhWA7f9U3e2k2nKhkCgsSfSe9XLD9RWdvo7PHEqSoMY9zSLNC6HcktH1n+mQyxzajkyDkr8/NWRGkQCIoVQOMVD0jX7m/dhcADjjFUJbkjJzWPPkT2imOXIZlnSJeTU+a7eTIBwKVmmZ2yTXhK8bTXm5Msp/waVFI+ZqwTWWbvQ99TUSiKFxoFvcxstuyoG596mC21DSpD0ESdQDjcMgVzWn/qS4tuEcnH+o8Guisf1XA4xLHj8V9WecLtdif13aNFKT6sjg0W0k/mBXwR3XFWY59Pv4DvVcnx5pOfRItwktZtpPOM1xxjVZEtpYzckRqwAHPepssysS1shgAPg9/3rzUNGunBL7i2d27vS08zKIE6RH9LHsPzXWdsuW8TWujy30pjJccZ9TMfGakLBHcaRd3V3GHKABeOc0Oa/uLWAQoWdS2VTxn3o2nQSywSNMDsfuPc0TibZE3TNDH6VbjaTXv8Pmt7zbDcBdp5BPAo82hTWAWeeQmCQ/ywg/5NbgS3S6Rl6gRecsckmgAbkvJrWDbCQzMQGJGOKtQSbCJUAD9wRUK8kEqD6VCRIT6nPqFWbcZsk2sCcAE+9cFANQnnvpAHkYlDx7UrOrCNI2Xiui060jmV90fq7A0VtI3SZlYLt8nzROtIjacIbJupcY3AekYpi0ncyzXXSGXyAT/zXl1aK8jtwI14B96UjmllQwR/yoY+8vv+KnPIoovixPIzEBka4kjt1KjyzDgUtdSfw+TbE5klbu5r691uOOFreIY8F/eueudQeTuc4HFYWnPo9OLjjW9DV9PETuLlpPJpCSeW4bljge5pfeHyWOTWokknJjhRnb2FVjjonLO2j1UDOQCPTzzS6yt1GWNSxPHArTJJbT7LpSvH2/FNvqyWiqtlDGpA+7GTzV4wMs86XQOzs5LqdVmYxqefYmi3OmRqxMKthR3Pmp0uoyTzLJJwV9uKrfxCaaw6KsCrdyByRVFGjNLK5MTilWEZdux4xzRbi4aeBUUkBTkHtQgEUr2478UWFWvLrppxn/aiJdikVs1yyQxLlyfPmq1z+lbqMILiVQMZHNNRwW9g43bi48inbq+m1CRWGECjAFE6jmpdMexdWaPK99w7USC3N/MIVyGP/FdHEsryLHIoZDwRih2en/Q6vKI1O/G5fwfFA6qPl0q0gjUNGJie7GqdpHFFbiO2tUQ55bzWVjbO5lp63McdszOcOT2rgnhsFugeqinA7mt4dYemD6cYxTSXEZtxGg5Pc15088UQE5rDrZDLkexoktssUX28KO1VehI0ShTgAgke9e6tZ505sqoZjng11AsiK2AknUHPO32rd/eWb2gigTrXAPngD5zS9pYGfPrw3tT8OlRrG3rUMO9KEgXl/ALJ7eWPLt2z4rny5U8dqv61Lp7M8W0m4Tgtik4tOtryyZ4pdkyDkGsk38tkJ7ZPa5aRQD4qvp2qSW0RbdgAY4FQSjxthhxnGaKoYenvmpygmqOxTcJFW5v57nmZtw8VN620urDvRY5Cp2N3Wk5XzM5pYQrQJt3bOi0hikICfe1PyXMkUixSNyfep+jSR2tm11Ow3AcA1Ma/FxePPK/ngVJ43K0VhLhTOnD55716HwaTsZhLECAcUwTXnuFOj0YyUlZ7I2SaFu4r5jzWQRg0yQ6Z+eEY7VoSuNvqIA9q8HI4rw8cV9KeaOw6m8Tgox+easWn6huBgq+QDzmuUPeiI7DjPFdR1n6Ha/qsH/zR7l9xTkepaVqCkSIqN7EV+aLM4ACMVpkXzr93PzQOP0CTRre4AkgkHHYZpcrfWef5AdB2Fcta61LFtCysuPFXof1LKybXCuPJzXDBmvrjUPRejpwRfYoHak3LPegQKvTxjn/mq0Or6fOnTlUL78V99NZzSB7WVVI8g12zqQs1s8CIGgcBuRnjNGSaS3iEoGEHGw03i5WVZLlvqVUYAJxxSOo3ryykPb9OMeBROLlhrtuloZFXDdsEeaTuryWVDO8j59s0hbT2hQAvjPcHxUzWdVkt26NqdyD+rGaSc2tIfFBN2xmXVJoY2+pf+W3ZPNSLrWWkUqjbUP8ASKnM89654dyaastCupiGdSi581BY7/I2vMoqoi1w0j4Y5xQ44JpG9KMa699Htz0oI19eOSadtdKjtAzvIGcfatVjBpUZ5ZrdnMWuhvJbNPM4jAPApsW0tsjfTMAfJA5Iq9LpckyBiMZOcU1BpZBGMZHenUaJym5HC31stxGHyzT7vUT7VGMbRysrLz2rsNU6elXkqdMsZDmuevm60xkI2se1OiLPNN0n6wnLbARwT70tNLLZTtHgMEOOe1ZS9uNvR3kKp8cUSNUm3K/3d80egd9BIZDeOXZQnwKtaDDFFeFpThGGN3saixMtvwBuzVOzdnV2MbAKKAUdLqMFmloZN+6QDHFR0jlldegcYoVpdyqOjKvUVj281Wjg6cLmMFCOQTQGTOn0Wxhaz6k8YZ8YzULUpok/UO6HLqg25HvQG1C8FqI1nYHsdta0xAOJBuwc8+aItbKDsp5PGK2luJU3qc0hdQSzs7RFgD4rVgbqC4VDkpjnNAJS+nMahh3NFjfI5PNHAEqr3zWhahFLOQFHvRAbSQrBv3Y2+ag3upXE3UXO5c8U/e3rSKYLUqIhwzVztxMySEL3B70rYUj1Wud4dC2R7eK9WeRpNnVYOR7+aHFq6ICJMZHYCsx3YSQztF944FI2ktnWidcWckU7PcP3Pf3pZrnYWWLIzxxVOa7WdP5icipUyAPuUVn4Rb7IuCvTB7mYbWPGaYUAp35FZhCk5YjIr13AfA4FLNNOhZRow+QN4yfekJJCM47068rFWCUCGFWBL8GnjSVs6W6Z4Jri4jWLJCUzDa9J1JG6vhHtBAIU4yvzQ4r4q+1uGHvQkpVpDxx32zqrEkQj04o7FT8VCt9UIXDdqbj1CN1yTioSxxl2aYPjpDxAHmskZpfrqy5DDH5rxZh4apP0y8FVlOIBBHBr7n27Ur6kzuPxRI5ivzXsuP0ZFL7NyqM596zt/wBJowZHGHGM+aAfTnnigjmfZI719k+K9zms8BvYUQG1kwRkUWOXDEhiKCCD3rRVSOKAw0l3IoJJDCjxam6YClkHnBqYB817yP2rjjpbbXpgeZchfeqUevrJ/wCWJWFcOXNaSdgCFJFdQbO5S+064JDJsogtbCaPKuD+a4hbqRVHIPvTKXxXjJFCjlI6yOx+lYy2xSmI9QuYoSXtw3yK5SPVJAuBKQKaTWJQgXeCK6hrLL6nJ9ckxjKoBjtVi11C2Zw5Kk/NcsutKV2yRg1oXlq65xhq7YNHZLd5YtvBB7D2oj3O2IsDz8VxhuDsHSmYE/NNLdTbAjTA5FGzqB3/AP6q6/mjcc8UYaVbSECQDNITSGCUPkN+9Ft7yQyb3BINdZ1CGt6RFFJm0Ocd8UG0sYwFkd92Dgp5q39dEJiGjGPc0G4NsVEka4kznIrrBxGf4Na3ELTNF0go7UndTRwxGK25HvXsc80pAaVsNwR4p+/tbe100PEQ8p5NccLaVZ9SQT3PGOQKbumkkkKIT0z2qEupS7gwDAjgVTsNQa5lCOuGFccO22mTtGXz6adFq1sgmZhx3FCn1Ke3TpxoCKTlu57tTuJHwK446qxSCSHemDmvZ7IMR0x6jXLWslzboBG7Ae1UF1q/tR1ZIwyKKKBQXWr640ZVWNA7MM/iuZfX9TvQryPhEP2gYzTN9qo1S468jqOMBc9qEEi2Fn4Qe1ccg9tqAkXYQVzWZ2Xaec5oGYHUtAMY8mgzSLHFktmloNikiokmD70V2KruL8AcDNILI00xPJFDuY7jJY52ipZo8qRKfQd74AUs90GOaUkjkxk+a1BbMxy5wKVY4xVkQ0TNLKCudo70W9nXAVDyO9PW0cQhKxjJxUyS3/nHf70kZKUt+A7o3bMS2SacEayMqA4B7mt2tvGqZNMIkbsBEOfxQXyloMVskX6T2smAxPsT5qa7SSS7m71e1QzXcqRyRgbOBitPo6CBXJCmtapIrRNiSSKAuz54yBX0N48npAP7UaYOBsIyvbIoQKQD04zSuCY1tDavL08ZI/evTNKg9L5qbJcM3mmbR933d6X2kNyEmgOMYUe9KOoQ8HnzVBxGVzszilpNm3GMk1SEjpRQGOXHDdqJIN4yuMUBgc4xWQWQ8HFUqyV0EUnOM16xPnkUPqZOSOaIHUjvzXNBTR8hQnBrZBH2niglTyQa0rlfmuo5M2CRXwY81jJr4UKDZrNfZFZrwkCuo42eBXqvjvQ93Fe/NdR1hOpxitCT5oIrQZa6g2F65U8GtrduDk80AhTXnGK6jh6PUCB8ijrqOeSxz+aknGO9Y5B713FHWy4bneu52Jo0d6FTCmufDt2zWhKw7NQ4h5Fya6ZsHNexXfI34xUP6h/evRcPjGa7idyOjS6jDZBxXtxfFo8K5I/Nc6LpguKJHeFQQaHE7kX7eSEoM7c0eG4RHOwAH3rnI7sAkmtrfBWJFdxDyR1f1r7OcGvPrRGM4rmhqhxjJrxtSZhjccUKYeSOuj1iEY3Af2rN9rMNxavCv9QxiuSF6B3NbS8jzkkUdgtB1tSG3qxAz7040u6MIJCcdxmkzeQEYyKC00Qf0sP712waKalNuA+Cfmhzj0bU9VJG4ix93NereIOd1dsOhyDrQruMa1q6d3hwB370n/EwwxmvTeoRy1LJNoDS6F9pL7SeBWZHbOxTxWJp1Lek0KOcB8saCxk/bRc0t0gQl+5rEiJPcF2OFzSS3Sbe9e/WIQRSrHTsZRSLETW4iI3DIrVjc28VwxZhjHFc28/qO0msLKd3NUUa6OOi+stxPI8vqyfTSd3exSSeljj81NZldcUBoyDkGikcWEngAA7jzWXgjnDFBj2qbE20c0xHdbBgZrqfgKa8mhp5Xl24pu0tog+C3HilGvCVwa+6xABzQpsOj//Z',
@@ -55,11 +68,44 @@ const reviews = [
 ];
 
 export default function App() {
-  const [form, setForm] = useState({ name: '', phone: '' });
+  const [form, setForm] = useState({ name: '', phone: '', agree: false, [LEAD_HONEYPOT_FIELD]: '' });
+  const [errors, setErrors] = useState({});
   const [sent, setSent] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [sendError, setSendError] = useState(null);
+  const [startedAt] = useState(() => new Date());
   const [hover, setHover] = useState(null);
   const [activeReview, setActiveReview] = useState(0);
 
+  // Поле с ошибкой перепроверяем, пока его правят
+  const updateField = (field, value) => {
+    setForm({ ...form, [field]: value });
+    if (errors[field]) setErrors({ ...errors, [field]: validateField(LEAD_RULES[field], value) });
+  };
+
+  const a11y = (id) => ({ id, 'aria-invalid': errors[id] ? true : undefined, 'aria-describedby': errors[id] ? `${id}-error` : undefined });
+
+  const submitLead = async (e) => {
+    e.preventDefault();
+    if (sending) return;
+    const found = validateFields(form, LEAD_RULES);
+    setErrors(found);
+    if (Object.keys(found).length > 0) {
+      e.target.elements[Object.keys(found)[0]].focus();
+      return;
+    }
+    setSending(true);
+    setSendError(null);
+    try {
+      await sendLead({ ...form, source: 'landing' }, leadTransport, SHOP_CONFIG.leads, { startedAt });
+      setSent(true);
+    } catch (error) {
+      setSendError(error.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
   return (
     <div style={{ minHeight: '100vh', background: '#0a0a0a', fontFamily: 'Georgia, serif', color: '#fff' }}>
       <style>{`
@@ -226,11 +272,23 @@ export default function App() {
               <p style={{ fontSize: '22px', color: '#f5f0e8' }}>Спасибо! Мы скоро свяжемся с вами.</p>
             </div>
           ) : (
-            <div>
-              <input type="text" placeholder="Ваше имя" className="input" style={{ marginBottom: '18px' }} value={form.name} onChange={e => setForm({...form, name: e.target.value})} />
-              <input type="tel" placeholder="Телефон" className="input" style={{ marginBottom: '28px' }} value={form.phone} onChange={e => setForm({...form, phone: e.target.value})} />
-              <button className="btn" style={{ width: '100%' }} onClick={() => setSent(true)}>Отправить заявку</button>
-            </div>
+            <form onSubmit={submitLead} noValidate>
+              <input type="text" name="name" placeholder="Ваше имя" aria-label="Ваше имя" autoComplete="name" className="input" style={{ marginBottom: '18px' }} value={form.name} onChange={e => updateField('name', e.target.value)} {...a11y('name')} />
+              <FieldError id="name" message={errors.name} />
+              <input type="tel" name="phone" placeholder="Телефон" aria-label="Телефон" autoComplete="tel" className="input" style={{ marginBottom: '18px' }} value={form.phone} onChange={e => updateField('phone', formatPhone(e.target.value))} {...a11y('phone')} />
+              <FieldError id="phone" message={errors.phone} />
+              <label style={{ display: 'flex', gap: '10px', alignItems: 'flex-start', textAlign: 'left', fontSize: '14px', color: 'rgba(245,240,232,0.6)', marginBottom: '28px', cursor: 'pointer' }}>
+                <input type="checkbox" name="agree" checked={form.agree} onChange={e => updateField('agree', e.target.checked)} style={{ marginTop: '3px' }} {...a11y('agree')} />
+                Согласен на обработку персональных данных
+              </label>
+              <FieldError id="agree" message={errors.agree} />
+              {/* Ловушка для ботов: человек её не видит */}
+              <input type="text" name={LEAD_HONEYPOT_FIELD} tabIndex={-1} autoComplete="off" aria-hidden="true" style={{ position: 'absolute', left: '-10000px' }} value={form[LEAD_HONEYPOT_FIELD]} onChange={e => setForm({...form, [LEAD_HONEYPOT_FIELD]: e.target.value})} />
+              {sendError && (
+                <p role="alert" style={{ fontSize: '15px', color: '#e8a0a0', marginBottom: '20px', lineHeight: 1.6 }}>{sendError}. Или позвоните нам: +7 (423) 200-16-16</p>
+              )}
+              <button type="submit" className="btn" style={{ width: '100%' }} disabled={sending}>{sending ? 'Отправляем...' : 'Отправить заявку'}</button>
+            </form>
           )}
         </div>
       </section>
@@ -0,0 +1,140 @@
+// ============================================
+// Адрес доставки по частям: город, улица, дом, квартира, подъезд, этаж, домофон.
+// Подсказки и зона доставки по городу — от провайдера адресов. Провайдер — объект с методами
+// suggestCities(query) и suggestStreets(city, query) → Promise<[{ value, zone? }]>
+// и lookup(address) → Promise<{ city, zone, streetKnown }> (city и zone — null, если город не найден).
+// ============================================
+
+const ADDRESS_FIELDS = ['city', 'street', 'house', 'apartment', 'entrance', 'floor', 'intercom'];
+
+// Сокращения, которые покупатели пишут перед названием улицы: при поиске их не учитываем
+const STREET_ABBREVIATIONS = ['г', 'ул', 'улица', 'пр', 'пр-т', 'просп', 'пер', 'ш', 'наб', 'бул', 'б-р', 'пл'];
+
+// privateHouse — частный дом, квартиры нет
+function emptyAddress() {
+  return { city: '', street: '', house: '', apartment: '', entrance: '', floor: '', intercom: '', privateHouse: false };
+}
+
+// Регистр, «ё» и лишние пробелы при сравнении не важны
+function normalizeAddressText(text) {
+  return String(text || '').toLowerCase().replace(/ё/g, 'е').replace(/\s+/g, ' ').trim();
+}
+
+function addressWords(text) {
+  return normalizeAddressText(text).split(/[\s,.]+/).filter(word => word && !STREET_ABBREVIATIONS.includes(word));
+}
+
+// 0 — название начинается с запроса, 1 — каждое слово запроса начинает какое-то слово названия, -1 — не подходит
+function matchScore(candidate, query) {
+  const words = addressWords(query);
+  if (words.length === 0) return -1;
+  if (normalizeAddressText(candidate).startsWith(normalizeAddressText(query))) return 0;
+  const candidateWords = normalizeAddressText(candidate).split(/[\s,.-]+/);
+  return words.every(word => candidateWords.some(candidateWord => candidateWord.startsWith(word))) ? 1 : -1;
+}
+
+// Лучшие совпадения по запросу; при равенстве — в порядке справочника
+function rankMatches(items, getName, query, limit) {
+  return items
+    .map((item, index) => ({ item, index, score: matchScore(getName(item), query) }))
+    .filter(match => match.score >= 0)
+    .sort((a, b) => a.score - b.score || a.index - b.index)
+    .slice(0, limit)
+    .map(match => match.item);
+}
+
+// Одной строкой — для заказа, сообщения менеджеру и курьера.
+// Строка остаётся как есть: так адрес записан у получателей подарков и в старых заказах.
+function formatAddress(address) {
+  if (typeof address === 'string') return address.trim();
+  const field = (key) => String(address[key] || '').trim();
+  return [
+    field('city'),
+    field('street'),
+    field('house') && `д. ${field('house')}`,
+    field('apartment') && `кв. ${field('apartment')}`,
+    field('entrance') && `подъезд ${field('entrance')}`,
+    field('floor') && `этаж ${field('floor')}`,
+    field('intercom') && `домофон ${field('intercom')}`
+  ].filter(Boolean).join(', ');
+}
+
+// Только поля адреса, без лишних пробелов — так адрес уходит в заказ
+function normalizeAddress(address) {
+  const result = {};
+  for (const key of ADDRESS_FIELDS) result[key] = String(address[key] || '').trim();
+  result.privateHouse = Boolean(address.privateHouse);
+  return result;
+}
+
+// Ошибки по полям, как у validateCompany: { house: '...' }; пустой объект — курьер найдёт без звонка
+function validateAddress(address) {
+  const errors = {};
+  if (!String(address.city || '').trim()) errors.city = 'Укажите город';
+  if (!String(address.street || '').trim()) errors.street = 'Укажите улицу';
+  if (!/\d/.test(address.house || '')) errors.house = 'Укажите номер дома';
+  if (!address.privateHouse && !String(address.apartment || '').trim()) {
+    errors.apartment = 'Укажите квартиру или отметьте «Частный дом»';
+  }
+  if (String(address.floor || '').trim() && !/^-?\d{1,3}$/.test(String(address.floor).trim())) {
+    errors.floor = 'Этаж — числом';
+  }
+  return errors;
+}
+
+// Справочник из JSON { cities: [{ name, zone, streets: [] }] } — заглушка для разработки.
+// data — готовый справочник (в Node); иначе загружается с url при первом обращении.
+function createLocalAddressProvider({ url = 'addresses.json', data = null, limit = 5, fetchImpl } = {}) {
+  let loading = data ? Promise.resolve(data) : null;
+  const load = () => {
+    if (!loading) {
+      loading = (fetchImpl || fetch)(url)
+        .then(response => {
+          if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+          return response.json();
+        })
+        .catch(error => {
+          // Следующий запрос попробует загрузить справочник заново
+          loading = null;
+          throw error;
+        });
+    }
+    return loading;
+  };
+  const findCity = (cities, name) => cities.find(city => normalizeAddressText(city.name) === normalizeAddressText(name));
+
+  return {
+    name: 'local',
+    async suggestCities(query) {
+      const { cities } = await load();
+      return rankMatches(cities, city => city.name, query, limit).map(city => ({ value: city.name, zone: city.zone }));
+    },
+    async suggestStreets(cityName, query) {
+      const city = findCity((await load()).cities, cityName);
+      if (!city) return [];
+      return rankMatches(city.streets, street => street, query, limit).map(street => ({ value: street }));
+    },
+    async lookup(address) {
+      const city = findCity((await load()).cities, address.city);
+      if (!city) return { city: null, zone: null, streetKnown: false };
+      // «ул. Тверская» и «Тверская улица» — одна улица
+      const streetKey = (name) => addressWords(name).sort().join(' ');
+      const street = streetKey(address.street);
+      return { city: city.name, zone: city.zone, streetKnown: Boolean(street) && city.streets.some(name => streetKey(name) === street) };
+    }
+  };
+}
+
+function createAddressProvider(config, options = {}) {
+  switch (config.provider) {
+    case 'local': return createLocalAddressProvider({ ...config, ...options });
+    default: throw new Error(`Неизвестный провайдер адресов: ${config.provider}`);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ADDRESS_FIELDS, emptyAddress, normalizeAddressText, formatAddress, normalizeAddress, validateAddress,
+    createLocalAddressProvider, createAddressProvider
+  };
+}
@@ -0,0 +1,106 @@
+// ============================================
+// Клиент админки: вход по паролю сотрудника и запросы к /api/admin на сервере-ретрансляторе.
+// Пароль проверяет только сервер; в браузере хранится лишь токен сессии — до закрытия вкладки.
+// ============================================
+
+const ADMIN_TOKEN_KEY = 'dv-admin-token';
+
+// status — HTTP-статус ответа; 401 — сессия истекла или пароль неверный
+class AdminError extends Error {
+  constructor(message, { status = null, details = null } = {}) {
+    super(message);
+    this.name = 'AdminError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function createAdminClient({ endpoint, timeout = 10000, fetchImpl, storage = window.sessionStorage } = {}) {
+  if (!endpoint) throw new Error('Не задан адрес админки');
+
+  const readToken = () => {
+    try {
+      return storage.getItem(ADMIN_TOKEN_KEY);
+    } catch (e) {
+      return null;
+    }
+  };
+  const saveToken = (token) => {
+    try {
+      if (token) storage.setItem(ADMIN_TOKEN_KEY, token);
+      else storage.removeItem(ADMIN_TOKEN_KEY);
+    } catch (e) {
+      console.error('Admin storage error:', e);
+    }
+  };
+
+  // body — объект (уйдёт JSON) или строка (уйдёт как есть, с contentType)
+  async function request(path, { method = 'GET', body, contentType } = {}) {
+    const doFetch = fetchImpl || fetch;
+    const headers = {};
+    const token = readToken();
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined) headers['Content-Type'] = contentType || (typeof body === 'string' ? 'text/plain; charset=utf-8' : 'application/json');
+
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), timeout) : null;
+    let response;
+    try {
+      response = await doFetch(`${endpoint}${path}`, {
+        method,
+        headers,
+        body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body),
+        signal: controller ? controller.signal : undefined
+      });
+    } catch (error) {
+      throw new AdminError('Не удалось связаться с сервером');
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+    let data = {};
+    try {
+      data = await response.json();
+    } catch (e) {
+      data = {};
+    }
+    if (!response.ok) {
+      if (response.status === 401) saveToken(null);
+      throw new AdminError(data.error || `Сервер ответил ошибкой ${response.status}`, {
+        status: response.status,
+        details: data.errors || null
+      });
+    }
+    return data;
+  }
+
+  return {
+    request,
+    isLoggedIn: () => Boolean(readToken()),
+    async login(password) {
+      const { token } = await request('/login', { method: 'POST', body: { password } });
+      saveToken(token);
+    },
+    async logout() {
+      try {
+        await request('/logout', { method: 'POST' });
+      } finally {
+        saveToken(null);
+      }
+    },
+    // Токен ещё действует? Сервер мог перезапуститься и забыть сессии
+    async checkSession() {
+      if (!readToken()) return false;
+      try {
+        await request('/session');
+        return true;
+      } catch (error) {
+        if (error.status === 401) return false;
+        throw error;
+      }
+    }
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ADMIN_TOKEN_KEY, AdminError, createAdminClient };
+}
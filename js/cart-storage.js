@@ -0,0 +1,122 @@
+// ============================================
+// Корзина в localStorage: сохранение, восстановление, синхронизация вкладок
+// ============================================
+
+// В браузере функции из js/stock.js и js/set-builder.js уже глобальные, в Node подключаем явно
+if (typeof module !== 'undefined' && module.exports) {
+  var { maxOrderQty } = require('./stock.js');
+  var { buildCustomSet } = require('./set-builder.js');
+}
+
+const CART_STORAGE_KEY = 'dv-cart';
+
+// Поднимать при изменении формата сохранённых данных. Старые версии отбрасываются.
+const CART_SCHEMA_VERSION = 1;
+
+// Храним только то, что нужно для сверки: цены и названия берём из актуального каталога.
+// У своего сета — ещё его описание (set), по нему сет пересобирается.
+function serializeCart(cart) {
+  return JSON.stringify({
+    version: CART_SCHEMA_VERSION,
+    items: cart.map(item => ({
+      id: item.id, name: item.name, price: item.price, qty: item.qty,
+      ...(item.set ? { set: item.set } : {})
+    }))
+  });
+}
+
+// Сырые позиции из хранилища; [] при отсутствии, порче или чужой версии
+function readStoredCart(storage = window.localStorage) {
+  let raw;
+  try {
+    raw = storage.getItem(CART_STORAGE_KEY);
+  } catch (e) {
+    return [];
+  }
+  return parseStoredCart(raw);
+}
+
+function parseStoredCart(raw) {
+  if (!raw) return [];
+  try {
+    const data = JSON.parse(raw);
+    if (!data || data.version !== CART_SCHEMA_VERSION || !Array.isArray(data.items)) return [];
+    return data.items.filter(item => item && item.id != null && Number.isInteger(item.qty) && item.qty > 0);
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveCart(cart, storage = window.localStorage) {
+  const json = serializeCart(cart);
+  try {
+    // Не пишем то же самое: иначе вкладки будут бесконечно пересылать друг другу storage-события
+    if (storage.getItem(CART_STORAGE_KEY) === json) return;
+    storage.setItem(CART_STORAGE_KEY, json);
+  } catch (e) {
+    console.error('Cart storage error:', e);
+  }
+}
+
+// Собирает корзину из сохранённых позиций по актуальному каталогу.
+// changes: [{ type: 'price' | 'removed' | 'qty', id, name, ... }] — о чём предупредить покупателя.
+// setBuilder — правила своих сетов (SHOP_CONFIG.setBuilder); без них свои сеты не восстанавливаются.
+function revalidateCart(storedItems, products, { setBuilder = null } = {}) {
+  const cart = [];
+  const changes = [];
+  for (const stored of storedItems) {
+    const product = stored.set
+      ? (setBuilder ? buildCustomSet(stored.set, products, setBuilder).item : null)
+      : products.find(p => p.id === stored.id);
+    if (!product) {
+      changes.push({ type: 'removed', id: stored.id, name: stored.name || stored.id });
+      continue;
+    }
+    const max = maxOrderQty(product);
+    if (max === 0) {
+      changes.push({ type: 'removed', id: product.id, name: product.name });
+      continue;
+    }
+    const qty = Math.min(stored.qty, max);
+    if (qty < stored.qty) {
+      changes.push({ type: 'qty', id: product.id, name: product.name, from: stored.qty, to: qty });
+    }
+    if (stored.price != null && stored.price !== product.price) {
+      changes.push({ type: 'price', id: product.id, name: product.name, from: stored.price, to: product.price });
+    }
+    cart.push({ ...product, qty });
+  }
+  return { cart, changes };
+}
+
+// Текст предупреждения для покупателя
+function describeCartChange(change) {
+  switch (change.type) {
+    case 'removed':
+      return `${change.name} — больше нет в продаже, убран из корзины`;
+    case 'qty':
+      return `${change.name} — в наличии только ${change.to} шт., количество уменьшено`;
+    case 'price':
+      return `${change.name} — цена изменилась: ${change.from.toLocaleString()} ₽ → ${change.to.toLocaleString()} ₽`;
+    default:
+      return change.name;
+  }
+}
+
+// Изменения корзины в другой вкладке. Возвращает функцию отписки.
+function subscribeToCart(onChange, target = window) {
+  const handler = (e) => {
+    if (e.key !== CART_STORAGE_KEY) return;
+    onChange(parseStoredCart(e.newValue));
+  };
+  target.addEventListener('storage', handler);
+  return () => target.removeEventListener('storage', handler);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CART_STORAGE_KEY, CART_SCHEMA_VERSION,
+    serializeCart, readStoredCart, parseStoredCart, saveCart,
+    revalidateCart, describeCartChange, subscribeToCart
+  };
+}
@@ -0,0 +1,95 @@
+// ============================================
+// Редактор каталога в админке. Товар редактируется как строка catalog.csv («черновик»):
+// значения колонок хранятся текстом — ровно так, как лягут в файл. Проверяет их тот же loadCatalog,
+// что и витрина, поэтому выгруженный файл витрина прочитает без сюрпризов.
+// ============================================
+
+// В браузере функции из js/catalog.js уже глобальные, в Node подключаем явно
+if (typeof module !== 'undefined' && module.exports) {
+  var { parseCSV, formatCSV, loadCatalog, catalogColumns } = require('./catalog.js');
+}
+
+let draftCounter = 0;
+
+// key — только для списка в редакторе, в файл не попадает
+function createDraft(fields = {}) {
+  draftCounter++;
+  const draft = { key: `d${draftCounter}` };
+  for (const field of Object.keys(catalogColumns())) draft[field] = fields[field] || '';
+  return draft;
+}
+
+// Текст catalog.csv → { drafts, error }. Фото и бейдж, которых нет в файле, берём из media:
+// после выгрузки они окажутся в файле, и он станет полным.
+function catalogDrafts(text, media = {}) {
+  let rows;
+  try {
+    rows = parseCSV(text);
+  } catch (e) {
+    return { drafts: [], error: e.message };
+  }
+  if (rows.length === 0) return { drafts: [], error: 'Файл каталога пуст' };
+
+  const columns = catalogColumns();
+  const header = rows[0].cells.map(h => h.trim());
+  const index = {};
+  for (const [field, title] of Object.entries(columns)) index[field] = header.indexOf(title);
+  if (index.sku === -1) return { drafts: [], error: `Нет колонки «${columns.sku}»` };
+
+  const drafts = rows.slice(1).map(({ cells }) => {
+    const fields = {};
+    for (const field of Object.keys(columns)) {
+      fields[field] = index[field] === -1 ? '' : String(cells[index[field]] || '').trim();
+    }
+    const extra = media[fields.sku] || {};
+    if (!fields.image && extra.image) fields.image = extra.image;
+    if (!fields.badge && extra.badge) fields.badge = extra.badge;
+    return createDraft(fields);
+  });
+  return { drafts, error: null };
+}
+
+function draftsToCSV(drafts) {
+  const fields = Object.keys(catalogColumns());
+  return formatCSV([
+    fields.map(field => catalogColumns()[field]),
+    ...drafts.map(draft => fields.map(field => draft[field]))
+  ]);
+}
+
+// Проверка черновиков правилами витрины: результат loadCatalog, у ошибок — ещё key черновика
+function checkDrafts(drafts, options = {}) {
+  const text = draftsToCSV(drafts);
+  const catalog = loadCatalog(text, options);
+  const lines = parseCSV(text).slice(1).map(row => row.line);
+  const errors = catalog.errors.map(error => ({ ...error, key: (drafts[lines.indexOf(error.line)] || {}).key || null }));
+  return { ...catalog, errors };
+}
+
+// Категории в порядке первого появления — в этом порядке их показывает витрина
+function draftCategories(drafts) {
+  return [...new Set(drafts.map(draft => draft.category.trim()).filter(Boolean))];
+}
+
+// Сдвинуть категорию на delta позиций: строки каталога группируются по категориям в новом порядке,
+// внутри категории порядок товаров сохраняется
+function moveCategory(drafts, category, delta) {
+  const order = draftCategories(drafts);
+  const from = order.indexOf(category);
+  const to = from + delta;
+  if (from === -1 || to < 0 || to >= order.length) return drafts;
+  order.splice(to, 0, order.splice(from, 1)[0]);
+  const uncategorized = drafts.filter(draft => !draft.category.trim());
+  return [...order.flatMap(name => drafts.filter(draft => draft.category.trim() === name)), ...uncategorized];
+}
+
+// Следующий свободный артикул: SKU-009 → SKU-010
+function nextSku(drafts) {
+  const numbers = drafts.map(draft => Number((draft.sku.match(/^SKU-(\d+)$/i) || [])[1])).filter(Number.isFinite);
+  const next = numbers.length > 0 ? Math.max(...numbers) + 1 : 1;
+  return `SKU-${String(next).padStart(3, '0')}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createDraft, catalogDrafts, draftsToCSV, checkDrafts, draftCategories, moveCategory, nextSku };
+}
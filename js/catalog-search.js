@@ -0,0 +1,145 @@
+// ============================================
+// Поиск, сортировка и фильтры каталога.
+// Состояние целиком живёт в query адреса: #/catalog?q=краб&origin=kamchatka&sort=price-asc
+// ============================================
+
+// В браузере функции из js/catalog.js и js/units.js уже глобальные, в Node подключаем явно
+if (typeof module !== 'undefined' && module.exports) {
+  var { slugify, parseProductParams } = require('./catalog.js');
+  var { itemPrice } = require('./units.js');
+}
+
+const CATALOG_SORTS = [
+  { id: 'popular', label: 'По популярности' },
+  { id: 'price-asc', label: 'Сначала дешевле' },
+  { id: 'price-desc', label: 'Сначала дороже' },
+  { id: 'name', label: 'По названию' }
+];
+
+// Фасеты из характеристик: подписи параметров (см. PARAM_RULES в js/catalog.js), из которых берутся значения
+const CATALOG_FACETS = [
+  { id: 'origin', title: 'Происхождение', params: ['Происхождение'] },
+  { id: 'state', title: 'Обработка', params: ['Обработка', 'Заморозка'] }
+];
+
+// Окончания, которые отбрасываем, чтобы «краба», «крабы» и «краб» совпадали. Длинные — первыми.
+const RU_ENDINGS = [
+  'ями', 'ами', 'ого', 'его', 'ому', 'ему', 'ыми', 'ими',
+  'ов', 'ев', 'ей', 'ий', 'ый', 'ой', 'ая', 'яя', 'ое', 'ее', 'ие', 'ые', 'ых', 'их', 'ую', 'юю', 'ом', 'ем', 'ам', 'ям', 'ах', 'ях',
+  'а', 'я', 'ы', 'и', 'у', 'ю', 'е', 'о', 'ь'
+];
+
+function normalizeSearchText(text) {
+  return String(text || '').toLowerCase().replace(/ё/g, 'е');
+}
+
+// Грубый стемминг: основа не короче трёх букв
+function stemWord(word) {
+  for (const ending of RU_ENDINGS) {
+    if (word.length - ending.length >= 3 && word.endsWith(ending)) return word.slice(0, -ending.length);
+  }
+  return word;
+}
+
+function tokenize(text) {
+  return normalizeSearchText(text).split(/[^a-zа-я0-9]+/).filter(Boolean).map(stemWord);
+}
+
+// Беглые гласные: «гребешки» → «гребешк», «гребешок» → «гребешок» — допускаем расхождение в последней букве основы
+function wordsMatch(word, token) {
+  if (word.startsWith(token)) return true;
+  let common = 0;
+  while (common < word.length && common < token.length && word[common] === token[common]) common++;
+  return common >= 4 && common >= Math.min(word.length, token.length) - 1;
+}
+
+// Каждое слово запроса должно найтись в названии, характеристиках или категории — как начало слова
+function matchesSearch(product, q) {
+  const queryTokens = tokenize(q);
+  if (queryTokens.length === 0) return true;
+  const productTokens = tokenize(`${product.name} ${product.params} ${product.categoryName}`);
+  return queryTokens.every(token => productTokens.some(word => wordsMatch(word, token)));
+}
+
+// Значения фасетов товара: { category: ['krab'], origin: ['kamchatka'], state: ['vareno-morozh'] }
+function productFacetValues(product) {
+  const params = parseProductParams(product.params);
+  const values = { category: [product.category] };
+  for (const facet of CATALOG_FACETS) {
+    values[facet.id] = params.filter(p => facet.params.includes(p.label)).map(p => slugify(p.raw));
+  }
+  return values;
+}
+
+// Строки из query ('kamchatka,sakhalin') → { q, sort, filters: { category: [...], origin: [...], state: [...] } }
+function parseCatalogQuery(query = {}) {
+  const list = (value) => String(value || '').split(',').filter(Boolean);
+  const filters = { category: list(query.category) };
+  for (const facet of CATALOG_FACETS) filters[facet.id] = list(query[facet.id]);
+  return {
+    q: query.q || '',
+    sort: CATALOG_SORTS.some(s => s.id === query.sort) ? query.sort : 'popular',
+    filters
+  };
+}
+
+function buildCatalogQuery({ q, sort, filters }) {
+  const query = {};
+  if (q) query.q = q;
+  if (sort && sort !== 'popular') query.sort = sort;
+  for (const [id, values] of Object.entries(filters)) {
+    if (values.length > 0) query[id] = values.join(',');
+  }
+  return query;
+}
+
+// Внутри фасета значения через «или», между фасетами — «и»
+function matchesFilters(values, filters, skip = null) {
+  return Object.entries(filters).every(([id, selected]) =>
+    id === skip || selected.length === 0 || selected.some(value => values[id].includes(value))
+  );
+}
+
+function sortProducts(products, sort) {
+  const sorted = products.slice();
+  switch (sort) {
+    case 'price-asc': return sorted.sort((a, b) => itemPrice(a) - itemPrice(b));
+    case 'price-desc': return sorted.sort((a, b) => itemPrice(b) - itemPrice(a));
+    case 'name': return sorted.sort((a, b) => a.name.localeCompare(b.name, 'ru'));
+    default: return sorted.sort((a, b) => b.popularity - a.popularity);
+  }
+}
+
+function searchProducts(products, { q, sort, filters }) {
+  const found = products.filter(p => matchesSearch(p, q) && matchesFilters(productFacetValues(p), filters));
+  return sortProducts(found, sort);
+}
+
+// Варианты фасетов с количеством товаров, учитывая поиск и остальные фильтры:
+// [{ id, title, options: [{ value, label, count }] }]
+function buildFacetOptions(products, { q, filters }) {
+  const searched = products.filter(p => matchesSearch(p, q));
+  return CATALOG_FACETS.map(facet => {
+    const options = new Map();
+    for (const product of products) {
+      for (const param of parseProductParams(product.params)) {
+        if (!facet.params.includes(param.label)) continue;
+        const value = slugify(param.raw);
+        if (!options.has(value)) options.set(value, { value, label: param.raw, count: 0 });
+      }
+    }
+    for (const product of searched) {
+      const values = productFacetValues(product);
+      if (!matchesFilters(values, filters, facet.id)) continue;
+      values[facet.id].forEach(value => { options.get(value).count++; });
+    }
+    return { id: facet.id, title: facet.title, options: Array.from(options.values()) };
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CATALOG_SORTS, CATALOG_FACETS, normalizeSearchText, stemWord, matchesSearch, productFacetValues,
+    parseCatalogQuery, buildCatalogQuery, sortProducts, searchProducts, buildFacetOptions
+  };
+}
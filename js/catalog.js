@@ -0,0 +1,298 @@
+// ============================================
+// Каталог: загрузка товаров из catalog.csv
+// Колонки: Артикул, Наименование, Категория, Цена (₽), Характеристики, Наличие, Единица, Вес, кг, Состав, Фото, Бейдж
+// ============================================
+
+// В браузере функции из js/stock.js и js/units.js уже глобальные, в Node подключаем явно
+if (typeof module !== 'undefined' && module.exports) {
+  var { parseStock, bundleStock } = require('./stock.js');
+  var { parseUnit, parseWeightRange, itemPrice } = require('./units.js');
+}
+
+const CATALOG_COLUMNS = {
+  sku: 'Артикул',
+  name: 'Наименование',
+  category: 'Категория',
+  price: 'Цена (₽)',
+  params: 'Характеристики',
+  stock: 'Наличие',
+  // Необязательные: единица цены (шт, кг, 100 г, сет; пусто — шт) и вес штуки для товаров с ценой за вес
+  unit: 'Единица',
+  weight: 'Вес, кг',
+  // Необязательная: состав сета — 'SKU-001 × 1 + SKU-004 × 1 + Соусы', см. parseComposition()
+  composition: 'Состав',
+  // Необязательные: ссылка на фото и бейдж карточки («Хит», «Новинка»); пусто — из PRODUCT_MEDIA в index.html
+  image: 'Фото',
+  badge: 'Бейдж'
+};
+
+// Колонки для других модулей (редактор каталога): в браузере константу из чужого файла через require не объявить
+function catalogColumns() {
+  return CATALOG_COLUMNS;
+}
+
+const TRANSLIT = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i', й: 'y',
+  к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f',
+  х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya'
+};
+
+// «Устрицы» → 'ustritsy'
+function slugify(value) {
+  return String(value)
+    .toLowerCase()
+    .split('')
+    .map(ch => (ch in TRANSLIT ? TRANSLIT[ch] : ch))
+    .join('')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Разбор CSV по RFC 4180: поля в кавычках, "" внутри кавычек, переводы строк внутри полей.
+// Возвращает строки с номером строки файла, чтобы было на что сослаться в ошибках.
+function parseCSV(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  const src = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') { field += '"'; i++; }
+        else inQuotes = false;
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (inQuotes) {
+    throw new Error(`Незакрытая кавычка в строке ${rowLine}`);
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, cells: row });
+  }
+  // Пустые строки (в том числе последняя) не считаем данными
+  return rows.filter(r => !(r.cells.length === 1 && r.cells[0].trim() === ''));
+}
+
+// Обратно в CSV: rows — массивы значений. Кавычки — только там, где без них файл не разобрать.
+function formatCSV(rows, delimiter = ',') {
+  const escape = (value) => {
+    const text = String(value === null || value === undefined ? '' : value);
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map(row => row.map(escape).join(delimiter)).join('\n') + '\n';
+}
+
+// 'SKU-001 × 1 + SKU-004 × 2 + Открытка' → { components: [{ sku, qty }], extras: ['Открытка'] }.
+// Части с артикулом — товары каталога, остальное — то, что кладём в сет сверх них.
+function parseComposition(value) {
+  const components = [];
+  const extras = [];
+  for (const part of String(value || '').split('+').map(p => p.trim()).filter(Boolean)) {
+    const match = part.match(/^(SKU-[\w-]+)(?:\s*[×xх*]\s*(\d+))?$/i);
+    if (match) components.push({ sku: match[1].toUpperCase(), qty: match[2] ? Number(match[2]) : 1 });
+    else extras.push(part);
+  }
+  return { components, extras };
+}
+
+// '4990', '4 990 ₽', '4 990,00 руб.' → 4990; NaN, если это не цена
+function parsePrice(value) {
+  const cleaned = String(value)
+    .replace(/\s/g, '')
+    .replace(/(₽|руб\.?|р\.)$/i, '')
+    .replace(',', '.');
+  if (!/^\d+(\.\d+)?$/.test(cleaned)) return NaN;
+  return Math.round(Number(cleaned));
+}
+
+// Разбирает текст catalog.csv в товары и категории.
+// media: { [sku]: { image, gallery, badge, popularity } } — то, чего нет в CSV.
+// Битые строки не выбрасываются молча, а попадают в errors с номером строки.
+function loadCatalog(text, { media = {}, categoryMeta = {} } = {}) {
+  const errors = [];
+  let rows;
+  try {
+    rows = parseCSV(text);
+  } catch (e) {
+    return { products: [], categories: [], errors: [{ line: 0, message: e.message }] };
+  }
+  if (rows.length === 0) {
+    return { products: [], categories: [], errors: [{ line: 0, message: 'Файл каталога пуст' }] };
+  }
+
+  const header = rows[0].cells.map(h => h.trim());
+  const index = {};
+  for (const [key, title] of Object.entries(CATALOG_COLUMNS)) {
+    index[key] = header.indexOf(title);
+  }
+  const missing = ['sku', 'name', 'category', 'price'].filter(key => index[key] === -1);
+  if (missing.length > 0) {
+    const titles = missing.map(key => `«${CATALOG_COLUMNS[key]}»`).join(', ');
+    return { products: [], categories: [], errors: [{ line: rows[0].line, message: `Нет колонок: ${titles}` }] };
+  }
+
+  const products = [];
+  const seen = new Set();
+  for (const { line, cells } of rows.slice(1)) {
+    const cell = (key) => (index[key] === -1 ? '' : (cells[index[key]] || '').trim());
+    const rowErrors = [];
+
+    if (cells.length !== header.length) {
+      rowErrors.push(`ожидалось ${header.length} колонок, получено ${cells.length}`);
+    }
+    const sku = cell('sku');
+    const name = cell('name');
+    const categoryName = cell('category');
+    const price = parsePrice(cell('price'));
+    const stock = parseStock(cell('stock'));
+    const unit = parseUnit(cell('unit'));
+    const weight = parseWeightRange(cell('weight'));
+
+    if (!sku) rowErrors.push('пустой артикул');
+    else if (seen.has(sku)) rowErrors.push(`артикул ${sku} повторяется`);
+    if (!name) rowErrors.push('пустое наименование');
+    if (!categoryName) rowErrors.push('пустая категория');
+    if (Number.isNaN(price) || price <= 0) rowErrors.push(`некорректная цена «${cell('price')}»`);
+    if (!stock) rowErrors.push(`неизвестное значение наличия «${cell('stock')}»`);
+    if (!unit) rowErrors.push(`неизвестная единица «${cell('unit')}»`);
+    if (Number.isNaN(weight)) rowErrors.push(`некорректный вес «${cell('weight')}»`);
+    else if (weight && unit !== 'kg' && unit !== '100g') rowErrors.push('вес указывается только для цены за кг или 100 г');
+
+    if (rowErrors.length > 0) {
+      errors.push({ line, sku: sku || null, message: rowErrors.join('; ') });
+      continue;
+    }
+    seen.add(sku);
+
+    const extra = media[sku] || {};
+    const image = cell('image') || extra.image || null;
+    products.push({
+      line,
+      composition: parseComposition(cell('composition')),
+      id: sku,
+      sku,
+      name,
+      category: slugify(categoryName),
+      categoryName,
+      price,
+      unit,
+      weight,
+      params: cell('params'),
+      stock,
+      image,
+      gallery: [image, ...(extra.gallery || [])].filter(Boolean),
+      badge: cell('badge') || extra.badge || null,
+      popularity: extra.popularity || 0
+    });
+  }
+
+  const resolved = resolveBundles(products, errors);
+  return { products: resolved, categories: buildCategories(resolved, categoryMeta), errors };
+}
+
+// Сеты ссылаются на товары по артикулу: подставляем названия и цены составляющих,
+// наличие сета ограничиваем остатками составляющих. Сет с битым составом — в errors.
+function resolveBundles(parsed, errors) {
+  const bySku = new Map(parsed.map(p => [p.sku, p]));
+  const products = [];
+  for (const { line, composition, ...product } of parsed) {
+    const problems = [];
+    for (const { sku } of composition.components) {
+      const component = bySku.get(sku);
+      if (!component) problems.push(`в составе неизвестный артикул ${sku}`);
+      else if (component.composition.components.length > 0) problems.push(`в составе другой сет ${sku}`);
+    }
+    if (problems.length > 0) {
+      errors.push({ line, sku: product.sku, message: problems.join('; ') });
+      continue;
+    }
+    if (composition.components.length === 0) {
+      products.push(product);
+      continue;
+    }
+    const parts = composition.components.map(({ sku, qty }) => ({ product: bySku.get(sku), qty }));
+    products.push({
+      ...product,
+      stock: bundleStock([{ product, qty: 1 }, ...parts]),
+      components: parts.map(({ product: p, qty }) => ({ id: p.id, name: p.name, qty, price: itemPrice(p) })),
+      extras: composition.extras
+    });
+  }
+  return products;
+}
+
+// Известные характеристики из колонки «Характеристики»; остальное — особенности без подписи
+const PARAM_RULES = [
+  { label: 'Глазурь', pattern: /^глазурь\s*(.+)$/i },
+  { label: 'Калибр', pattern: /^калибр\s*(.+)$/i },
+  { label: 'Заморозка', pattern: /^(IQF)$/, value: 'IQF — шоковая поштучная' },
+  { label: 'Обработка', pattern: /^(варено-морож\.?|сыро-морож\.?|живые)$/i },
+  { label: 'Происхождение', pattern: /^(камчатка|сахалин|приморье|курилы|магадан)$/i },
+  { label: 'Состав', pattern: /^(.+\+.+)$/ }
+];
+
+// 'Варено-морож. • Глазурь ≤10% • Камчатка' → [{ label: 'Обработка', value: 'Варено-морож.', raw: 'Варено-морож.' }, ...]
+function parseProductParams(params) {
+  return String(params || '')
+    .split('•')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      for (const rule of PARAM_RULES) {
+        const match = part.match(rule.pattern);
+        if (match) return { label: rule.label, value: rule.value || match[1], raw: part };
+      }
+      return { label: null, value: part, raw: part };
+    });
+}
+
+// Категории и количество товаров — из самих данных, в порядке первого появления
+function buildCategories(products, categoryMeta = {}) {
+  const byId = new Map();
+  for (const p of products) {
+    if (!byId.has(p.category)) {
+      const meta = categoryMeta[p.category] || {};
+      byId.set(p.category, {
+        id: p.category,
+        label: p.categoryName,
+        name: meta.name || p.categoryName,
+        image: meta.image || p.image,
+        count: 0
+      });
+    }
+    byId.get(p.category).count++;
+  }
+  return Array.from(byId.values());
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CATALOG_COLUMNS, catalogColumns, slugify, parseCSV, formatCSV, parsePrice, parseComposition, loadCatalog, parseProductParams, buildCategories
+  };
+}
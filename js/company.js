@@ -0,0 +1,148 @@
+// ============================================
+// Заказы от юрлиц и ИП: реквизиты покупателя, проверка ИНН/КПП и данные для счёта.
+// Реквизиты продавца — в SHOP_CONFIG.company (js/config.js).
+// ============================================
+
+// В браузере функции из js/units.js уже глобальные, в Node подключаем явно
+if (typeof module !== 'undefined' && module.exports) {
+  var { unitLabel } = require('./units.js');
+}
+
+const INN_WEIGHTS_10 = [2, 4, 10, 3, 5, 9, 4, 6, 8];
+const INN_WEIGHTS_11 = [7, 2, 4, 10, 3, 5, 9, 4, 6, 8];
+const INN_WEIGHTS_12 = [3, 7, 2, 4, 10, 3, 5, 9, 4, 6, 8];
+
+function innCheckDigit(digits, weights) {
+  const sum = weights.reduce((acc, weight, i) => acc + weight * digits[i], 0);
+  return (sum % 11) % 10;
+}
+
+// 10 цифр — организация, 12 — ИП; последние цифры — контрольные
+function isValidInn(value) {
+  const inn = String(value || '').trim();
+  if (!/^\d{10}$|^\d{12}$/.test(inn)) return false;
+  const digits = inn.split('').map(Number);
+  if (digits.length === 10) return innCheckDigit(digits, INN_WEIGHTS_10) === digits[9];
+  return innCheckDigit(digits, INN_WEIGHTS_11) === digits[10] && innCheckDigit(digits, INN_WEIGHTS_12) === digits[11];
+}
+
+// КПП: код налоговой (4 цифры), причина постановки (2 цифры или заглавные латинские буквы), номер (3 цифры)
+function isValidKpp(value) {
+  return /^\d{4}[\dA-Z]{2}\d{3}$/.test(String(value || '').trim());
+}
+
+// ИП (ИНН из 12 цифр) работает без КПП
+function isSoleProprietor(inn) {
+  return String(inn || '').trim().length === 12;
+}
+
+// Ошибки реквизитов по полям: { inn: '...', kpp: '...' }; пустой объект — всё в порядке
+function validateCompany(company) {
+  const errors = {};
+  if (!String(company.name || '').trim()) errors.name = 'Укажите название организации';
+  if (!isValidInn(company.inn)) errors.inn = 'Проверьте ИНН: 10 цифр для организации или 12 для ИП';
+  if (!isSoleProprietor(company.inn) && !isValidKpp(company.kpp)) errors.kpp = 'Проверьте КПП: 9 символов';
+  if (!String(company.address || '').trim()) errors.address = 'Укажите юридический адрес';
+  return errors;
+}
+
+// Реквизиты продавца заполнены настолько, что по счёту можно заплатить: без них счёт не выставляем
+function isSellerComplete(seller) {
+  if (!seller || Object.keys(validateCompany(seller)).length > 0) return false;
+  return Boolean(String(seller.bank || '').trim()) &&
+    /^\d{9}$/.test(String(seller.bik || '').trim()) &&
+    /^\d{20}$/.test(String(seller.account || '').trim()) &&
+    /^\d{20}$/.test(String(seller.corrAccount || '').trim());
+}
+
+function normalizeCompany(company) {
+  const inn = String(company.inn || '').trim();
+  return {
+    name: String(company.name || '').trim(),
+    inn,
+    kpp: isSoleProprietor(inn) ? '' : String(company.kpp || '').trim().toUpperCase(),
+    address: String(company.address || '').trim()
+  };
+}
+
+const WORDS_UNITS = [
+  ['', 'один', 'два', 'три', 'четыре', 'пять', 'шесть', 'семь', 'восемь', 'девять'],
+  ['', 'одна', 'две', 'три', 'четыре', 'пять', 'шесть', 'семь', 'восемь', 'девять']
+];
+const WORDS_TEENS = ['десять', 'одиннадцать', 'двенадцать', 'тринадцать', 'четырнадцать', 'пятнадцать',
+  'шестнадцать', 'семнадцать', 'восемнадцать', 'девятнадцать'];
+const WORDS_TENS = ['', '', 'двадцать', 'тридцать', 'сорок', 'пятьдесят', 'шестьдесят', 'семьдесят', 'восемьдесят', 'девяносто'];
+const WORDS_HUNDREDS = ['', 'сто', 'двести', 'триста', 'четыреста', 'пятьсот', 'шестьсот', 'семьсот', 'восемьсот', 'девятьсот'];
+
+// Разряды: [единственное, 2–4, 5+], feminine — «одна тысяча», «две тысячи»
+const WORDS_SCALES = [
+  { forms: ['', '', ''], feminine: false },
+  { forms: ['тысяча', 'тысячи', 'тысяч'], feminine: true },
+  { forms: ['миллион', 'миллиона', 'миллионов'], feminine: false },
+  { forms: ['миллиард', 'миллиарда', 'миллиардов'], feminine: false }
+];
+
+// (1, ['рубль', 'рубля', 'рублей']) → 'рубль'
+function pluralRu(n, forms) {
+  const mod10 = n % 10;
+  const mod100 = n % 100;
+  if (mod10 === 1 && mod100 !== 11) return forms[0];
+  if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14)) return forms[1];
+  return forms[2];
+}
+
+function tripletInWords(n, feminine) {
+  const words = [WORDS_HUNDREDS[Math.floor(n / 100)]];
+  const rest = n % 100;
+  if (rest >= 10 && rest < 20) {
+    words.push(WORDS_TEENS[rest - 10]);
+  } else {
+    words.push(WORDS_TENS[Math.floor(rest / 10)], WORDS_UNITS[feminine ? 1 : 0][rest % 10]);
+  }
+  return words.filter(Boolean).join(' ');
+}
+
+// 9990 → 'Девять тысяч девятьсот девяносто рублей 00 копеек' — для строки «Всего к оплате» в счёте
+function amountInWords(amount) {
+  const kopecks = Math.round(amount * 100) % 100;
+  let rubles = Math.floor(Math.round(amount * 100) / 100);
+  const parts = [];
+  if (rubles === 0) parts.push('ноль');
+  for (let scale = 0; rubles > 0 && scale < WORDS_SCALES.length; scale++) {
+    const triplet = rubles % 1000;
+    rubles = Math.floor(rubles / 1000);
+    if (triplet === 0) continue;
+    const { forms, feminine } = WORDS_SCALES[scale];
+    parts.unshift([tripletInWords(triplet, feminine), pluralRu(triplet, forms)].filter(Boolean).join(' '));
+  }
+  const integer = Math.floor(Math.round(amount * 100) / 100);
+  const text = `${parts.join(' ')} ${pluralRu(integer, ['рубль', 'рубля', 'рублей'])} ${String(kopecks).padStart(2, '0')} ${pluralRu(kopecks, ['копейка', 'копейки', 'копеек'])}`;
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Строки счёта по заказу: товары, доставка отдельной строкой; скидки — уменьшают итог.
+// → { lines: [{ name, qty, unit, price, sum }], discount, total, vat }
+function buildInvoice(order, { vatRate = null } = {}) {
+  const lines = order.items.map(item => ({
+    name: item.name,
+    qty: item.qty,
+    unit: item.weight ? 'шт' : unitLabel(item.unit),
+    price: item.price,
+    sum: item.sum
+  }));
+  if (order.totals.delivery > 0) {
+    lines.push({ name: 'Доставка', qty: 1, unit: 'усл', price: order.totals.delivery, sum: order.totals.delivery });
+  }
+  const discount = (order.totals.discount || 0) + (order.totals.certificate || 0);
+  const total = order.totals.total;
+  // НДС включён в цену: выделяем его из итога
+  const vat = vatRate ? Math.round(total * vatRate / (100 + vatRate) * 100) / 100 : null;
+  return { lines, discount, total, vat };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    isValidInn, isValidKpp, isSoleProprietor, validateCompany, isSellerComplete, normalizeCompany,
+    pluralRu, amountInWords, buildInvoice
+  };
+}
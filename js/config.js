@@ -0,0 +1,146 @@
+// ============================================
+// Настройки витрины, которые меняются без правки компонентов.
+// Секретов здесь быть не должно: файл целиком уходит в браузер.
+// ============================================
+
+// Адреса /api/... — относительные: сервер-ретранслятор (server/order-relay.js) отвечает на том же домене, что и витрина,
+// веб-сервер проксирует /api на него. Для разработки без прокси — полный адрес, например 'http://localhost:8787/api/orders'.
+const SHOP_CONFIG = {
+  orders: {
+    // 'http' — отправка на сервер-ретранслятор (server/order-relay.js), 'mock' — никуда, для разработки
+    transport: 'http',
+    endpoint: '/api/orders',
+    // Проверка остатка на подарочном сертификате
+    certificatesEndpoint: '/api/certificates',
+    timeout: 10000,
+    retries: 2
+  },
+  leads: {
+    // Заявки «перезвоните мне» (js/leads.js): 'http' — на тот же сервер-ретранслятор, 'mock' — никуда
+    transport: 'http',
+    endpoint: '/api/leads',
+    timeout: 10000,
+    retries: 1,
+    // Ту же заявку (телефон и текст) повторно в течение dedupMinutes не отправляем
+    dedupMinutes: 30,
+    // Не больше maxPerWindow заявок с одного браузера за windowMinutes
+    maxPerWindow: 3,
+    windowMinutes: 60,
+    // Форму, заполненную быстрее, считаем ботом
+    minFillSeconds: 3
+  },
+  admin: {
+    // Админка (/admin, js/admin.js) работает через сервер-ретранслятор. Пароль задаётся там, в ADMIN_PASSWORD, — не здесь.
+    endpoint: '/api/admin'
+  },
+  delivery: {
+    // Тарифы по зонам. price — базовая стоимость, freeFrom — сумма товаров для бесплатной доставки (null — никогда),
+    // slots — можно выбрать дату и интервал, sameDay — доступна доставка день-в-день.
+    zones: [
+      { id: 'moscow', name: 'Москва', method: 'courier', price: 500, freeFrom: 10000, eta: 'день-в-день при заказе до 15:00', slots: true, sameDay: true },
+      { id: 'moscow-region', name: 'Московская область', method: 'courier', price: 900, freeFrom: 15000, eta: 'на следующий день', slots: true, sameDay: false },
+      { id: 'regions', name: 'Регионы России', method: 'transport', price: 1500, freeFrom: 30000, eta: 'от 1 до 5 дней, транспортной компанией', slots: false, sameDay: false },
+      { id: 'pickup', name: 'Самовывоз', method: 'pickup', price: 0, freeFrom: null, eta: 'в день заказа, после звонка менеджера', slots: false, sameDay: false },
+    ],
+    defaultZone: 'moscow'
+  },
+  addresses: {
+    // Подсказки адреса и зона доставки по городу (js/addresses.js). 'local' — справочник addresses.json,
+    // заглушка для разработки: в нём только часть городов и улиц, незнакомую улицу покупатель может ввести сам.
+    provider: 'local',
+    url: 'addresses.json',
+    // Сколько подсказок показывать
+    limit: 5
+  },
+  payments: {
+    // Способы оплаты в порядке показа: cash, card, online, invoice (см. js/payments.js)
+    methods: ['cash', 'card', 'online', 'invoice'],
+    // Провайдер онлайн-оплаты; null — не подключён, способ «Онлайн на сайте» не показываем.
+    // 'fake' — тестовый, только для разработки: деньги не списываются, работает лишь на localhost.
+    // outcome — чем заканчивается тестовая оплата: 'paid' | 'failed' | 'cancelled' | 'pending'.
+    provider: null,
+    fake: { outcome: 'paid' }
+  },
+  company: {
+    // Реквизиты продавца для счёта юрлицу. Это не секрет — они печатаются в каждом счёте.
+    // Пока они не заполнены (ИНН, КПП, адрес, банк, БИК, счета), оплату по счёту и режим «Организация» не показываем.
+    seller: {
+      name: 'ООО «Дальневосточные деликатесы»',
+      inn: '',
+      kpp: '',
+      address: '',
+      bank: '',
+      bik: '',
+      account: '',
+      corrAccount: ''
+    },
+    // НДС в процентах, включён в цены; null — без НДС
+    vatRate: null,
+    // Сколько дней действует счёт
+    invoiceValidDays: 3
+  },
+  promo: {
+    // type: 'percent' | 'fixed'. Ограничения необязательны: categories — слаги категорий, skus — артикулы,
+    // minTotal — минимальная сумма товаров, validFrom/validUntil — 'YYYY-MM-DD' по Москве, включительно;
+    // firstOrder — только на первый заказ: сервер проверяет, что с этого телефона заказов ещё не было.
+    codes: [
+      { code: 'NEWYEAR', title: 'Новогодние сеты −10%', type: 'percent', value: 10, categories: ['sety'], validUntil: '2027-01-10' },
+      { code: 'WELCOME500', title: 'Скидка 500 ₽ на первый заказ', type: 'fixed', value: 500, minTotal: 5000, firstOrder: true },
+    ]
+  },
+  setBuilder: {
+    // Категории, из товаров которых собирают свой сет, и минимум разных товаров в нём
+    categories: ['krab', 'ustritsy', 'grebeshok'],
+    minComponents: 2,
+    // Скидка за комплект по числу разных товаров
+    discounts: [
+      { minComponents: 2, percent: 5 },
+      { minComponents: 3, percent: 10 },
+    ],
+    // Первая упаковка — по умолчанию
+    packaging: [
+      { id: 'thermo', name: 'Термобокс', price: 0 },
+      { id: 'gift', name: 'Подарочная коробка', price: 490 },
+      { id: 'wood', name: 'Деревянный ящик', price: 1490 },
+    ],
+    card: { price: 150, maxLength: 300 }
+  },
+  recommendations: {
+    // Что предлагать к товарам категории, пока нет истории заказов
+    crossCategories: {
+      krab: ['ustritsy', 'sety'],
+      ustritsy: ['krab', 'grebeshok'],
+      grebeshok: ['krab', 'ustritsy'],
+      sety: ['krab', 'ustritsy', 'grebeshok']
+    },
+    // Сколько товаров в полосе рекомендаций
+    limit: 3
+  },
+  merchandising: {
+    // Секции главной сверху вниз: hero, trust, categories, featured-set. Чего нет в списке — не показываем.
+    homeSections: ['hero', 'trust', 'categories', 'featured-set'],
+    // Сет недели: берётся первая действующая запись, поэтому постоянная — последней.
+    // validFrom/validUntil — 'YYYY-MM-DD' по Москве, включительно; без дат — всегда.
+    featuredSets: [
+      {
+        sku: 'SKU-009',
+        validFrom: '2026-12-21',
+        validUntil: '2027-01-10',
+        description: 'Большой сет на новогодний стол: краб, гребешок и устрицы на компанию из четырёх человек.'
+      },
+      {
+        sku: 'SKU-008',
+        description: 'Идеальный набор для романтического ужина. Всё, что нужно для незабываемого вечера — свежайшие деликатесы с Дальнего Востока.',
+        image: 'https://images.unsplash.com/photo-1504674900247-0877df9cc836?w=600&q=80'
+      },
+    ],
+    // Баннеры в Hero: показываем первый действующий. link — раздел сайта (см. ROUTES в js/router.js).
+    heroBanners: [
+      { text: '🎄 Новогодние сеты −10% по промокоду NEWYEAR', link: 'sets', validFrom: '2026-12-01', validUntil: '2027-01-10' },
+    ]
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SHOP_CONFIG };
+}
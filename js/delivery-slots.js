@@ -0,0 +1,89 @@
+// ============================================
+// Слоты доставки по правилам страницы «Доставка и оплата»:
+// день-в-день при заказе до 15:00, интервалы 10-14, 14-18, 18-22.
+// Всё время — московское, независимо от часового пояса покупателя.
+// ============================================
+
+const DELIVERY_INTERVALS = [
+  { id: '10-14', from: 10, to: 14, label: '10:00–14:00' },
+  { id: '14-18', from: 14, to: 18, label: '14:00–18:00' },
+  { id: '18-22', from: 18, to: 22, label: '18:00–22:00' },
+];
+
+// Заказы до этого часа (МСК) доставляем в тот же день
+const SAME_DAY_CUTOFF_HOUR = 15;
+
+// Москва живёт в UTC+3 круглый год
+const MOSCOW_UTC_OFFSET_HOURS = 3;
+
+// На сколько дней вперёд можно выбрать доставку
+const DELIVERY_DAYS_AHEAD = 7;
+
+// Московские «часы» для момента now: дата в виде 'YYYY-MM-DD' и время
+function moscowTime(now = new Date()) {
+  const shifted = new Date(now.getTime() + MOSCOW_UTC_OFFSET_HOURS * 3600 * 1000);
+  return {
+    dateKey: shifted.toISOString().slice(0, 10),
+    hour: shifted.getUTCHours(),
+    minute: shifted.getUTCMinutes()
+  };
+}
+
+function addDays(dateKey, days) {
+  const date = new Date(dateKey + 'T00:00:00Z');
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// 'пн, 21 октября'
+function formatDeliveryDate(dateKey) {
+  return new Date(dateKey + 'T00:00:00Z').toLocaleDateString('ru-RU', {
+    weekday: 'short', day: 'numeric', month: 'long', timeZone: 'UTC'
+  });
+}
+
+// Интервалы на дату: сегодня — только до отсечки и только ещё не начавшиеся.
+// sameDay: false — для зон без доставки день-в-день (сегодня слотов нет совсем).
+function getIntervalsForDate(dateKey, now = new Date(), { sameDay = true } = {}) {
+  const msk = moscowTime(now);
+  if (dateKey < msk.dateKey) return [];
+  if (dateKey > msk.dateKey) return DELIVERY_INTERVALS.slice();
+  if (!sameDay || msk.hour >= SAME_DAY_CUTOFF_HOUR) return [];
+  return DELIVERY_INTERVALS.filter(interval => msk.hour < interval.from);
+}
+
+// Даты с доступными интервалами: [{ key, label, intervals }]
+function getDeliveryDates(now = new Date(), daysAhead = DELIVERY_DAYS_AHEAD, options = {}) {
+  const today = moscowTime(now).dateKey;
+  const dates = [];
+  for (let i = 0; i <= daysAhead; i++) {
+    const key = addDays(today, i);
+    const intervals = getIntervalsForDate(key, now, options);
+    if (intervals.length === 0) continue;
+    const prefix = i === 0 ? 'Сегодня' : i === 1 ? 'Завтра' : null;
+    const label = formatDeliveryDate(key);
+    dates.push({ key, label: prefix ? `${prefix}, ${label.replace(/^[^,]+,\s*/, '')}` : label, intervals });
+  }
+  return dates;
+}
+
+// Слот ещё можно выбрать? Проверяется и при отправке: форма могла долго висеть открытой.
+function isSlotAvailable(slot, now = new Date(), options = {}) {
+  if (!slot || !slot.date || !slot.interval) return false;
+  return getIntervalsForDate(slot.date, now, options).some(interval => interval.id === slot.interval);
+}
+
+// 'пн, 21 октября, 14:00–18:00'
+function formatDeliverySlot(slot) {
+  if (!slot) return '';
+  const interval = DELIVERY_INTERVALS.find(i => i.id === slot.interval);
+  return `${formatDeliveryDate(slot.date)}, ${interval ? interval.label : slot.interval}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DELIVERY_INTERVALS, SAME_DAY_CUTOFF_HOUR, MOSCOW_UTC_OFFSET_HOURS, DELIVERY_DAYS_AHEAD,
+    moscowTime, addDays, formatDeliveryDate, getIntervalsForDate, getDeliveryDates,
+    isSlotAvailable, formatDeliverySlot
+  };
+}
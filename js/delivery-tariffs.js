@@ -0,0 +1,50 @@
+// ============================================
+// Тарифы доставки: стоимость и сроки по зоне и сумме заказа.
+// Сами тарифы — в SHOP_CONFIG.delivery.zones (js/config.js).
+// ============================================
+
+const DELIVERY_METHOD_LABELS = {
+  courier: 'Курьером',
+  transport: 'Транспортной компанией',
+  pickup: 'Самовывоз'
+};
+
+function deliveryMethodLabel(method) {
+  return DELIVERY_METHOD_LABELS[method] || method;
+}
+
+function findDeliveryZone(zones, zoneId) {
+  return zones.find(zone => zone.id === zoneId) || null;
+}
+
+// Расчёт доставки с разбивкой для сводки заказа:
+// { zone, base, discount, cost, freeFrom, remainingToFree, eta }
+function calculateDelivery(zones, zoneId, itemsTotal) {
+  const zone = findDeliveryZone(zones, zoneId);
+  if (!zone) throw new Error(`Неизвестная зона доставки: ${zoneId}`);
+  const base = zone.price;
+  const isFree = zone.freeFrom != null && itemsTotal >= zone.freeFrom;
+  const discount = isFree ? base : 0;
+  return {
+    zone,
+    base,
+    discount,
+    cost: base - discount,
+    freeFrom: zone.freeFrom,
+    remainingToFree: zone.freeFrom != null && !isFree && base > 0 ? zone.freeFrom - itemsTotal : 0,
+    eta: zone.eta
+  };
+}
+
+// Короткая подпись цены для выбора зоны: 'Бесплатно', '500 ₽', '500 ₽, от 10 000 ₽ — бесплатно'
+function describeZonePrice(zone, itemsTotal = 0) {
+  const money = (value) => `${value.toLocaleString('ru-RU')} ₽`;
+  if (zone.price === 0) return 'Бесплатно';
+  if (zone.freeFrom != null && itemsTotal >= zone.freeFrom) return 'Бесплатно';
+  if (zone.freeFrom != null) return `${money(zone.price)}, от ${money(zone.freeFrom)} — бесплатно`;
+  return money(zone.price);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DELIVERY_METHOD_LABELS, deliveryMethodLabel, findDeliveryZone, calculateDelivery, describeZonePrice };
+}
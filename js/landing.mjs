@@ -0,0 +1,34 @@
+// ============================================
+// Вход для лендинга (index.jsx): он ES-модуль, а js/*.js — обычные скрипты без export,
+// именованный import из них не работает. Скрипты подключаются на странице тегами, как в index.html,
+// до лендинга, в таком порядке:
+//   <script src="js/config.js"></script>
+//   <script src="js/validation.js"></script>
+//   <script src="js/orders.js"></script>
+//   <script src="js/leads.js"></script>
+// Их функции и константы глобальные — отсюда лендинг получает их как модуль.
+// ============================================
+
+if (typeof SHOP_CONFIG === 'undefined' || typeof formatPhone === 'undefined' ||
+    typeof createHttpTransport === 'undefined' || typeof sendLead === 'undefined') {
+  throw new Error('Лендинг: подключите js/config.js, js/validation.js, js/orders.js и js/leads.js тегами <script> до index.jsx');
+}
+
+// Под своими именами: export { SHOP_CONFIG } из модуля ссылался бы на его же переменную, а не на глобальную
+const config = SHOP_CONFIG;
+const honeypotField = LEAD_HONEYPOT_FIELD;
+const leadTransport = createLeadTransport;
+const send = sendLead;
+const phoneMask = formatPhone;
+const fieldError = validateField;
+const fieldErrors = validateFields;
+
+export {
+  config as SHOP_CONFIG,
+  honeypotField as LEAD_HONEYPOT_FIELD,
+  leadTransport as createLeadTransport,
+  send as sendLead,
+  phoneMask as formatPhone,
+  fieldError as validateField,
+  fieldErrors as validateFields
+};
@@ -0,0 +1,150 @@
+// ============================================
+// Заявки «перезвоните мне» с формы контактов и с лендинга (index.jsx).
+// Уходят на тот же сервер-ретранслятор, что и заказы (POST /api/leads), через транспорт из js/orders.js.
+// От спама: скрытое поле-ловушка, слишком быстрое заполнение и лимит заявок с одного браузера;
+// сервер проверяет ловушку и лимит ещё раз — браузеру доверять нельзя.
+// ============================================
+
+// В браузере функции из js/orders.js и js/validation.js уже глобальные (лендинг получает их через js/landing.mjs), в Node подключаем явно
+if (typeof module !== 'undefined' && module.exports) {
+  var { createHttpTransport, createMockTransport, submitOrder, escapeMarkdown } = require('./orders.js');
+  var { formatPhone, validateField } = require('./validation.js');
+}
+
+class LeadError extends Error {
+  constructor(message, { retryAt = null } = {}) {
+    super(message);
+    this.name = 'LeadError';
+    this.retryAt = retryAt;
+  }
+}
+
+// Недавно отправленные заявки: [{ fingerprint, at }] — для защиты от повторов и лимита
+const LEADS_STORAGE_KEY = 'dv-leads';
+
+// Поле-ловушка: человек его не видит и не заполняет, бот заполняет всё подряд
+const LEAD_HONEYPOT_FIELD = 'website';
+
+const LEAD_SOURCES = {
+  contacts: 'Форма контактов',
+  landing: 'Лендинг'
+};
+
+// Что не так с заявкой; null — можно отправлять
+function validateLead(lead) {
+  if (!lead || typeof lead !== 'object') return 'Пустая заявка';
+  return validateField('name', lead.name) || validateField('phone', lead.phone) || null;
+}
+
+// id один на заявку: при повторе после сетевой ошибки сервер узнает её и не отправит менеджеру дважды
+function buildLead({ name, phone, message = '', source, [LEAD_HONEYPOT_FIELD]: trap = '' }, now = new Date(), random = Math.random) {
+  return {
+    id: `L-${now.getTime().toString(36)}-${Math.floor(random() * 1e6).toString(36)}`,
+    name: String(name || '').trim(),
+    phone: formatPhone(phone),
+    message: String(message || '').trim(),
+    source,
+    [LEAD_HONEYPOT_FIELD]: trap,
+    createdAt: now.toISOString()
+  };
+}
+
+// Одна и та же заявка: тот же телефон и тот же текст
+function leadFingerprint(lead) {
+  return `${String(lead.phone).replace(/\D/g, '')}|${lead.message.toLowerCase().replace(/\s+/g, ' ')}`;
+}
+
+// Похоже на бота: заполнена ловушка или форму заполнили быстрее minFillMs с момента показа
+function isLikelySpam(lead, { startedAt = null, now = new Date(), minFillMs = 0 } = {}) {
+  if (lead[LEAD_HONEYPOT_FIELD]) return true;
+  return startedAt !== null && now - startedAt < minFillMs;
+}
+
+// Проверка по истории отправок: null | { reason: 'duplicate' } | { reason: 'rate-limit', retryAt }
+function checkLeadLimits(history, fingerprint, now, { dedupMs, windowMs, maxPerWindow }) {
+  const time = now.getTime();
+  if (history.some(entry => entry.fingerprint === fingerprint && time - entry.at < dedupMs)) {
+    return { reason: 'duplicate' };
+  }
+  const recent = history.filter(entry => time - entry.at < windowMs);
+  if (recent.length >= maxPerWindow) {
+    const oldest = Math.min(...recent.map(entry => entry.at));
+    return { reason: 'rate-limit', retryAt: new Date(oldest + windowMs) };
+  }
+  return null;
+}
+
+function readLeadHistory(storage = window.localStorage) {
+  try {
+    const data = JSON.parse(storage.getItem(LEADS_STORAGE_KEY) || '[]');
+    return Array.isArray(data) ? data.filter(entry => entry && entry.fingerprint && Number.isFinite(entry.at)) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveLeadHistory(history, storage = window.localStorage) {
+  try {
+    storage.setItem(LEADS_STORAGE_KEY, JSON.stringify(history));
+  } catch (e) {
+    console.error('Leads storage error:', e);
+  }
+}
+
+// Транспорт — тот же, что у заказов: http шлёт JSON на endpoint, mock только запоминает
+function createLeadTransport(config) {
+  switch (config.transport) {
+    case 'http': return createHttpTransport(config);
+    case 'mock': return createMockTransport(config);
+    default: throw new Error(`Неизвестный транспорт заявок: ${config.transport}`);
+  }
+}
+
+// Отправка заявки с формы. config — SHOP_CONFIG.leads, startedAt — когда форму показали.
+// → { status: 'sent' | 'duplicate' | 'spam', lead }; ботам и повторам отвечаем как будто всё отправлено.
+// Бросает LeadError с текстом для покупателя; рядом стоит показать телефон магазина.
+async function sendLead(fields, transport, config, { storage = window.localStorage, startedAt = null, now = new Date(), retryDelay } = {}) {
+  const lead = buildLead(fields, now);
+  const invalid = validateLead(lead);
+  if (invalid) throw new LeadError(invalid);
+  if (isLikelySpam(lead, { startedAt, now, minFillMs: config.minFillSeconds * 1000 })) return { status: 'spam', lead };
+
+  const history = readLeadHistory(storage);
+  const fingerprint = leadFingerprint(lead);
+  const limited = checkLeadLimits(history, fingerprint, now, {
+    dedupMs: config.dedupMinutes * 60000,
+    windowMs: config.windowMinutes * 60000,
+    maxPerWindow: config.maxPerWindow
+  });
+  if (limited && limited.reason === 'duplicate') return { status: 'duplicate', lead };
+  if (limited) {
+    throw new LeadError('Вы уже отправили несколько заявок — мы скоро перезвоним', { retryAt: limited.retryAt });
+  }
+
+  try {
+    await submitOrder(lead, transport, { retries: config.retries, retryDelay });
+  } catch (error) {
+    if (error.status === 429) throw new LeadError('Слишком много заявок — попробуйте позже');
+    throw new LeadError('Не удалось отправить заявку, попробуйте ещё раз');
+  }
+  const windowMs = Math.max(config.dedupMinutes, config.windowMinutes) * 60000;
+  saveLeadHistory([...history.filter(entry => now.getTime() - entry.at < windowMs), { fingerprint, at: now.getTime() }], storage);
+  return { status: 'sent', lead };
+}
+
+// Текст уведомления о заявке (Telegram, Markdown)
+function formatLeadMessage(lead) {
+  const md = escapeMarkdown;
+  return `📞 *Заявка на звонок*\n\n` +
+    `👤 *Имя:* ${md(lead.name)}\n` +
+    `📱 *Телефон:* ${md(lead.phone)}\n` +
+    `💬 *Сообщение:* ${md(lead.message || 'нет')}\n` +
+    `🔗 *Откуда:* ${md(LEAD_SOURCES[lead.source] || lead.source || 'не указано')}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LeadError, LEADS_STORAGE_KEY, LEAD_HONEYPOT_FIELD, validateLead, buildLead, leadFingerprint, isLikelySpam,
+    checkLeadLimits, readLeadHistory, saveLeadHistory, createLeadTransport, sendLead, formatLeadMessage
+  };
+}
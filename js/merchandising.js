@@ -0,0 +1,44 @@
+// ============================================
+// Витрина главной: порядок секций, сет недели по расписанию и баннеры в Hero.
+// Расписание — в SHOP_CONFIG.merchandising (js/config.js).
+// Даты validFrom/validUntil — 'YYYY-MM-DD' по Москве, включительно, как у промокодов.
+// ============================================
+
+// В браузере функции из js/delivery-slots.js уже глобальные, в Node подключаем явно
+if (typeof module !== 'undefined' && module.exports) {
+  var { moscowTime } = require('./delivery-slots.js');
+}
+
+// Запись действует в этот день; без дат — всегда
+function isScheduledOn(entry, dateKey) {
+  if (entry.validFrom && dateKey < entry.validFrom) return false;
+  if (entry.validUntil && dateKey > entry.validUntil) return false;
+  return true;
+}
+
+// Первая действующая запись расписания или null. Порядок в конфиге — приоритет.
+function activeScheduleEntry(entries, now = new Date()) {
+  const today = moscowTime(now).dateKey;
+  return (entries || []).find(entry => isScheduledOn(entry, today)) || null;
+}
+
+// Сет недели: первый действующий из расписания, который есть в каталоге и собран из составляющих.
+// → { set, entry } или null
+function pickFeaturedSet(entries, products, now = new Date()) {
+  const today = moscowTime(now).dateKey;
+  for (const entry of entries || []) {
+    if (!isScheduledOn(entry, today)) continue;
+    const set = products.find(p => p.sku === entry.sku);
+    if (set && set.components) return { set, entry };
+  }
+  return null;
+}
+
+// Секции главной в порядке из конфига; неизвестные идентификаторы отбрасываем
+function homeSectionOrder(order, available) {
+  return (order || []).filter(id => available.includes(id));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { isScheduledOn, activeScheduleEntry, pickFeaturedSet, homeSectionOrder };
+}
@@ -0,0 +1,73 @@
+// ============================================
+// История заказов покупателя в localStorage («Мои заказы»)
+// ============================================
+
+const ORDER_HISTORY_KEY = 'dv-orders';
+
+// Храним последние заказы, старые вытесняются
+const ORDER_HISTORY_LIMIT = 50;
+
+function readOrderHistory(storage = window.localStorage) {
+  try {
+    const data = JSON.parse(storage.getItem(ORDER_HISTORY_KEY) || '[]');
+    return Array.isArray(data) ? data.filter(order => order && order.number) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function writeOrderHistory(orders, storage = window.localStorage) {
+  try {
+    storage.setItem(ORDER_HISTORY_KEY, JSON.stringify(orders.slice(0, ORDER_HISTORY_LIMIT)));
+  } catch (e) {
+    console.error('Order history error:', e);
+  }
+}
+
+// Новый заказ — в начало списка
+function saveOrderToHistory(order, storage = window.localStorage) {
+  const record = { ...order, status: order.status || 'new', statusUpdatedAt: order.createdAt };
+  const orders = readOrderHistory(storage).filter(o => o.number !== order.number);
+  writeOrderHistory([record, ...orders], storage);
+  return record;
+}
+
+// Оплата изменилась (онлайн-оплата прошла, отменена, не прошла). Возвращает обновлённый заказ или null.
+function updateOrderPayment(number, payment, storage = window.localStorage) {
+  let updated = null;
+  const orders = readOrderHistory(storage).map(order => {
+    if (order.number !== number) return order;
+    updated = { ...order, payment: { ...order.payment, ...payment } };
+    return updated;
+  });
+  if (updated) writeOrderHistory(orders, storage);
+  return updated;
+}
+
+function findOrderInHistory(number, storage = window.localStorage) {
+  return readOrderHistory(storage).find(order => order.number === number) || null;
+}
+
+// Обновляет статусы с сервера; заказы, о которых сервер не знает, не трогаем
+async function refreshOrderStatuses(transport, storage = window.localStorage) {
+  const orders = readOrderHistory(storage);
+  if (!transport.getStatus) return orders;
+  const updated = await Promise.all(orders.map(async order => {
+    try {
+      const status = await transport.getStatus(order.number);
+      if (!status || status === order.status) return order;
+      return { ...order, status, statusUpdatedAt: new Date().toISOString() };
+    } catch (e) {
+      return order;
+    }
+  }));
+  writeOrderHistory(updated, storage);
+  return updated;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ORDER_HISTORY_KEY, ORDER_HISTORY_LIMIT,
+    readOrderHistory, writeOrderHistory, saveOrderToHistory, updateOrderPayment, findOrderInHistory, refreshOrderStatuses
+  };
+}
@@ -0,0 +1,125 @@
+// ============================================
+// Обработка заказа оператором: смена статуса (новый → подтверждён → собран → в пути → доставлен, отмена —
+// до доставки), итоговый вес и сумма весовых товаров после взвешивания, фильтры списка, текст уведомления покупателю.
+// Общий для админки и сервера-ретранслятора: сервер проверяет те же правила, что показывает админка.
+// ============================================
+
+// В браузере функции из js/delivery-slots.js, js/orders.js и js/units.js уже глобальные, в Node подключаем явно
+if (typeof module !== 'undefined' && module.exports) {
+  var { moscowTime, formatDeliverySlot } = require('./delivery-slots.js');
+  var { formatRub } = require('./orders.js');
+  var { weightPrice } = require('./units.js');
+}
+
+// Куда можно перевести заказ из каждого статуса (ключи — из ORDER_STATUSES в js/orders.js)
+const ORDER_STATUS_FLOW = {
+  new: ['confirmed', 'cancelled'],
+  confirmed: ['assembled', 'cancelled'],
+  assembled: ['shipping', 'cancelled'],
+  shipping: ['delivered', 'cancelled'],
+  delivered: [],
+  cancelled: []
+};
+
+function nextOrderStatuses(status) {
+  return ORDER_STATUS_FLOW[status] || [];
+}
+
+// null — можно, иначе текст ошибки для оператора
+function statusChangeError(order, status) {
+  if (!(status in ORDER_STATUS_FLOW)) return `Неизвестный статус: ${status}`;
+  if (!nextOrderStatuses(order.status).includes(status)) return 'Заказ нельзя перевести в этот статус';
+  // Везти заказ с неуточнённой суммой нельзя: покупатель должен знать, сколько платить курьеру
+  if (status === 'shipping' && order.estimated) return 'Сначала укажите итоговый вес весовых товаров';
+  return null;
+}
+
+// Новый статус и запись в истории: history — [{ status, at }]
+function withOrderStatus(order, status, now = new Date()) {
+  const at = now.toISOString();
+  return { ...order, status, statusUpdatedAt: at, history: [...(order.history || []), { status, at }] };
+}
+
+// Итог заказа по фактическим суммам позиций: скидка, доставка и сертификат — как при оформлении
+function finalOrderTotals(order) {
+  const items = order.items.reduce((sum, item) => sum + (item.finalSum !== undefined && item.finalSum !== null ? item.finalSum : item.sum), 0);
+  const { discount = 0, delivery = 0, certificate = 0 } = order.totals;
+  return { ...order.totals, items, total: Math.max(0, items - discount + delivery - certificate) };
+}
+
+// finals — [{ index, weight, sum }]: index — позиция в order.items, weight — итоговый вес строки в кг,
+// sum — итоговая сумма строки (без неё считается по весу). null — всё в порядке, иначе текст ошибки.
+function finalAmountsError(order, finals) {
+  if (!Array.isArray(finals)) return 'Нет позиций для пересчёта';
+  if (order.status === 'delivered' || order.status === 'cancelled') return 'Заказ уже закрыт';
+  for (const final of finals) {
+    if (!final || typeof final !== 'object') return 'Некорректная позиция';
+    const item = order.items[final.index];
+    if (!item || !item.estimated) return 'Итоговый вес указывается только для весовых товаров';
+    const hasWeight = final.weight !== undefined && final.weight !== null;
+    const hasSum = final.sum !== undefined && final.sum !== null;
+    if (!hasWeight && !hasSum) return `${item.name}: укажите вес или сумму`;
+    if (hasWeight && !(Number(final.weight) > 0 && Number(final.weight) < 1000)) return `${item.name}: проверьте вес`;
+    if (hasSum && !(Number.isInteger(Number(final.sum)) && Number(final.sum) >= 0)) return `${item.name}: сумма — целым числом рублей`;
+  }
+  return null;
+}
+
+// Проставляет итоговые вес и сумму позиций и пересчитывает итог. Проверка — finalAmountsError
+function applyFinalAmounts(order, finals) {
+  const items = order.items.map((item, index) => {
+    const final = finals.find(f => f.index === index);
+    if (!final) return item;
+    // Поправили только сумму — взвешенный раньше вес остаётся
+    const finalWeight = final.weight !== undefined && final.weight !== null ? Number(final.weight) : (item.finalWeight || null);
+    const finalSum = final.sum !== undefined && final.sum !== null
+      ? Number(final.sum)
+      : weightPrice(item.unitPrice, item.unit, finalWeight);
+    return { ...item, finalWeight, finalSum };
+  });
+  const updated = { ...order, items, estimated: items.some(item => item.estimated && (item.finalSum === undefined || item.finalSum === null)) };
+  return { ...updated, totals: finalOrderTotals(updated) };
+}
+
+// filters: { dateFrom, dateTo } — день оформления по Москве, 'YYYY-MM-DD' включительно;
+// status; deliveryDate и interval — слот доставки (см. js/delivery-slots.js). Пустые поля не фильтруют.
+function filterOrders(orders, { dateFrom = '', dateTo = '', status = '', deliveryDate = '', interval = '' } = {}) {
+  return orders.filter(order => {
+    const created = moscowTime(new Date(order.createdAt)).dateKey;
+    const slot = order.delivery && order.delivery.slot;
+    if (dateFrom && created < dateFrom) return false;
+    if (dateTo && created > dateTo) return false;
+    if (status && order.status !== status) return false;
+    if (deliveryDate && (!slot || slot.date !== deliveryDate)) return false;
+    if (interval && (!slot || slot.interval !== interval)) return false;
+    return true;
+  });
+}
+
+// Текст SMS/письма покупателю о новом статусе; null — о статусе не сообщаем
+function customerNotificationText(order, status) {
+  const number = `Заказ ${order.number}`;
+  const total = order.estimated ? 'Точную сумму сообщим после взвешивания.' : `К оплате: ${formatRub(order.totals.total)}.`;
+  switch (status) {
+    case 'confirmed':
+      return `${number} подтверждён. ${total}`;
+    case 'assembled':
+      return `${number} собран. ${total}`;
+    case 'shipping':
+      return `${number} передан в доставку` +
+        (order.delivery && order.delivery.slot ? `, ждите курьера ${formatDeliverySlot(order.delivery.slot)}` : '') + `. ${total}`;
+    case 'delivered':
+      return `${number} доставлен. Спасибо, что выбрали «Дальний Восток»!`;
+    case 'cancelled':
+      return `${number} отменён. Если это ошибка, позвоните нам: +7 495 123-45-67.`;
+    default:
+      return null;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ORDER_STATUS_FLOW, nextOrderStatuses, statusChangeError, withOrderStatus, finalOrderTotals,
+    finalAmountsError, applyFinalAmounts, filterOrders, customerNotificationText
+  };
+}
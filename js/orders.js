@@ -0,0 +1,352 @@
+// ============================================
+// Заказы: сборка данных заказа, текст для менеджера и отправка через транспорт.
+// Транспорт — объект с методом send(order) → Promise<{ ok: true, ... }>.
+// ============================================
+
+class OrderSubmitError extends Error {
+  constructor(message, { retryable = false, status = null } = {}) {
+    super(message);
+    this.name = 'OrderSubmitError';
+    this.retryable = retryable;
+    this.status = status;
+  }
+}
+
+// В браузере функции из js/addresses.js, js/company.js, js/delivery-slots.js, js/delivery-tariffs.js, js/payments.js
+// и js/units.js уже глобальные, в Node подключаем явно
+if (typeof module !== 'undefined' && module.exports) {
+  var { formatAddress, normalizeAddress } = require('./addresses.js');
+  var { formatDeliverySlot } = require('./delivery-slots.js');
+  var { deliveryMethodLabel } = require('./delivery-tariffs.js');
+  var { paymentMethodLabel, paymentStatusLabel } = require('./payments.js');
+  var { normalizeCompany } = require('./company.js');
+  var { itemPrice, lineTotal, isVariableWeight, unitLabel, formatQty, formatWeightRange } = require('./units.js');
+}
+
+// Статусы заказа в порядке обработки; cancelled — из любого незавершённого
+const ORDER_STATUSES = {
+  new: 'Новый',
+  confirmed: 'Подтверждён',
+  assembled: 'Собран',
+  shipping: 'В пути',
+  delivered: 'Доставлен',
+  cancelled: 'Отменён'
+};
+
+// Номер, который удобно продиктовать по телефону: DV-241019-4821
+function generateOrderNumber(date = new Date(), random = Math.random) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const day = `${pad(date.getFullYear() % 100)}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+  const suffix = String(Math.floor(random() * 10000)).padStart(4, '0');
+  return `DV-${day}-${suffix}`;
+}
+
+// Ключ оформления: по нему сервер узнаёт повторную отправку заказа, даже если выдал ему другой номер
+function generateOrderKey() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  // crypto.randomUUID есть только на https и localhost
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+// Данные заказа в том виде, в каком они уходят на сервер.
+// delivery — результат calculateDelivery() для выбранной зоны,
+// promo — { code, title, discount }, certificate — { code, applied }; оба необязательны.
+// payment — { method, status } (см. js/payments.js); null, если платить нечего — всё покрыл сертификат.
+// company — реквизиты организации-покупателя (см. js/company.js); у частного лица null.
+// recipients — доставки нескольким получателям (buildOrderRecipients из js/recipients.js); тогда адреса — у них.
+function buildOrder({
+  cart, form, delivery, totals, promo = null, certificate = null, payment = null, company = null, recipients = null,
+  number = generateOrderNumber(), key = generateOrderKey()
+}) {
+  const zone = delivery.zone;
+  // Сертификат — не больше суммы к оплате (товары − скидка + доставка): остаток на нём сохраняется, итог не уходит в минус
+  const discount = totals.discount || 0;
+  const amountDue = Math.max(0, totals.items - discount + totals.delivery);
+  const applied = certificate ? Math.min(certificate.applied, amountDue) : 0;
+  return {
+    number,
+    key,
+    customer: {
+      name: form.name.trim(),
+      phone: form.phone.trim(),
+      email: form.email ? form.email.trim() : ''
+    },
+    company: company ? normalizeCompany(company) : null,
+    recipients: recipients && recipients.length > 0 ? recipients : null,
+    delivery: {
+      zone: zone.id,
+      zoneName: zone.name,
+      method: zone.method,
+      eta: delivery.eta,
+      // address — одной строкой для менеджера и курьера, addressDetails — по частям (см. js/addresses.js)
+      address: zone.method !== 'pickup' && !recipients ? formatAddress(form.address) : '',
+      addressDetails: zone.method !== 'pickup' && !recipients && typeof form.address === 'object' ? normalizeAddress(form.address) : null,
+      slot: zone.slots && form.slot ? { date: form.slot.date, interval: form.slot.interval } : null,
+      cost: { base: delivery.base, discount: delivery.discount, total: delivery.cost }
+    },
+    // price — за штуку (у весовых — по среднему весу), unitPrice — цена из каталога за unit;
+    // category — чтобы сервер пересчитал скидку по промокоду
+    items: cart.map(item => ({
+      id: item.id,
+      name: item.name,
+      category: item.category || null,
+      qty: item.qty,
+      unit: item.unit || 'piece',
+      unitPrice: item.price,
+      weight: item.weight || null,
+      price: itemPrice(item),
+      sum: lineTotal(item),
+      estimated: isVariableWeight(item),
+      preorder: Boolean(item.stock && item.stock.status === 'preorder'),
+      // Сеты: состав и дополнения; у своего сета — ещё упаковка, открытка и описание set, по которому сервер пересчитает цену
+      ...(item.components ? {
+        components: item.components.map(c => ({ id: c.id, name: c.name, qty: c.qty })),
+        extras: item.extras || [],
+        packaging: item.packaging ? item.packaging.name : null,
+        card: item.card || null,
+        set: item.set || null
+      } : {})
+    })),
+    // Сумма предварительная: весовые товары пересчитываются после взвешивания
+    estimated: cart.some(isVariableWeight),
+    promo: promo ? { code: promo.code, title: promo.title, discount: promo.discount } : null,
+    certificate: applied > 0 ? { code: certificate.code, applied } : null,
+    payment: payment ? { method: payment.method, status: payment.status } : null,
+    // total — к оплате: товары − скидка + доставка − сертификат
+    totals: {
+      items: totals.items,
+      discount,
+      delivery: totals.delivery,
+      certificate: applied,
+      total: amountDue - applied
+    },
+    comment: form.comment ? form.comment.trim() : '',
+    createdAt: new Date().toISOString()
+  };
+}
+
+function formatRub(value) {
+  return `${Number(value).toLocaleString('ru-RU')} ₽`;
+}
+
+// Экранирование для parse_mode: 'Markdown' — имена и комментарии пишут покупатели
+function escapeMarkdown(text) {
+  return String(text).replace(/([_*`\[])/g, '\\$1');
+}
+
+// '4 990 ₽/кг' для цены за вес, иначе цена позиции
+function formatOrderItemPrice(item) {
+  if (item.weight) return `${formatRub(item.unitPrice)}/${unitLabel(item.unit)}`;
+  if (item.unit === 'kg' || item.unit === '100g') return `${formatRub(item.price)}/${unitLabel(item.unit)}`;
+  return formatRub(item.price);
+}
+
+// Состав сета под его строкой в уведомлении
+function formatSetDetails(item) {
+  const md = escapeMarkdown;
+  return item.components.map(c => `\n    – ${md(c.name)} × ${c.qty}`).join('') +
+    (item.extras || []).map(extra => `\n    – ${md(extra)}`).join('') +
+    (item.packaging ? `\n    📦 Упаковка: ${md(item.packaging)}` : '') +
+    (item.card ? `\n    💌 Открытка: «${md(item.card)}»` : '');
+}
+
+// Кому и что везти, если получателей несколько
+function formatRecipients(recipients) {
+  const md = escapeMarkdown;
+  return recipients.map((r, i) =>
+    `${i + 1}. ${md(r.name)}, ${md(r.phone)}\n    📍 ${md(r.address)}\n` +
+    r.items.map(item => `    – ${md(item.name)} × ${item.qty}`).join('\n') +
+    (r.card ? `\n    💌 «${md(r.card)}»` : '')
+  ).join('\n');
+}
+
+// Текст уведомления о заказе (Telegram, Markdown)
+function formatOrderMessage(order) {
+  const md = escapeMarkdown;
+  const itemsList = order.items.map(item =>
+    `• ${md(item.name)} — ${formatQty(item)} × ${formatOrderItemPrice(item)} = ${item.estimated ? '≈' : ''}${formatRub(item.sum)}` +
+    (item.estimated ? ` (вес ${formatWeightRange(item.weight)})` : '') +
+    (item.preorder ? ' (под заказ)' : '') +
+    (item.components ? formatSetDetails(item) : '')
+  ).join('\n');
+
+  return `🦀 *НОВЫЙ ЗАКАЗ${order.number ? ' ' + md(order.number) : ''}*\n\n` +
+    `👤 *Клиент:* ${md(order.customer.name)}\n` +
+    `📱 *Телефон:* ${md(order.customer.phone)}\n` +
+    `📧 *Email:* ${md(order.customer.email || 'не указан')}\n` +
+    (order.company ? `🏢 *Организация:* ${md(order.company.name)}, ИНН ${order.company.inn}` +
+      (order.company.kpp ? `, КПП ${order.company.kpp}` : '') + `\n📮 *Юр. адрес:* ${md(order.company.address)}\n` : '') +
+    `🚚 *Доставка:* ${order.delivery.zoneName ? md(order.delivery.zoneName) + ' — ' : ''}${deliveryMethodLabel(order.delivery.method)}` +
+    (order.delivery.eta ? ` (${md(order.delivery.eta)})` : '') + `\n` +
+    (order.recipients
+      ? `👥 *Получатели (${order.recipients.length}), отдельная доставка каждому:*\n${formatRecipients(order.recipients)}\n`
+      : `📍 *Адрес:* ${md(order.delivery.address || 'не указан')}\n`) +
+    (order.delivery.slot ? `🕒 *Время:* ${formatDeliverySlot(order.delivery.slot)}\n` : '') +
+    `\n` +
+    `📦 *Товары:*\n${itemsList}\n\n` +
+    `💰 *Сумма товаров:* ${formatRub(order.totals.items)}\n` +
+    (order.promo ? `🏷 *Промокод:* ${md(order.promo.code)} (${md(order.promo.title)}): −${formatRub(order.promo.discount)}\n` : '') +
+    `🚚 *Доставка:* ${order.totals.delivery === 0 ? 'Бесплатно' : formatRub(order.totals.delivery)}` +
+    (order.delivery.cost && order.delivery.cost.discount > 0 ? ` (тариф ${formatRub(order.delivery.cost.base)}, бесплатно по сумме заказа)` : '') + `\n` +
+    (order.certificate ? `🎁 *Сертификат:* ${md(order.certificate.code)}: −${formatRub(order.certificate.applied)}\n` : '') +
+    `💵 *ИТОГО:* ${order.estimated ? '≈' : ''}${formatRub(order.totals.total)}\n` +
+    (order.payment ? `💳 *Оплата:* ${paymentMethodLabel(order.payment.method)} (${paymentStatusLabel(order.payment.status).toLowerCase()})\n` : '') +
+    (order.estimated ? `⚖️ Есть весовые товары — сумму уточнить после взвешивания\n` : '') + `\n` +
+    `💬 *Комментарий:* ${md(order.comment || 'нет')}`;
+}
+
+// Сообщение менеджеру об оплате на сайте (Telegram, Markdown)
+function formatPaymentMessage(order) {
+  const md = escapeMarkdown;
+  return `💳 *Оплата заказа ${md(order.number)}:* ${paymentStatusLabel(order.payment.status)}` +
+    (order.payment.id ? `\nПлатёж: ${md(order.payment.id)}` : '') +
+    `\nСтатус сообщил сайт — сверьте с личным кабинетом платёжного сервиса.`;
+}
+
+// Отправка POST-запросом на сервер-ретранслятор
+function createHttpTransport({ endpoint, certificatesEndpoint, timeout = 10000, fetchImpl } = {}) {
+  if (!endpoint) throw new Error('Не задан адрес для отправки заказов');
+  return {
+    name: 'http',
+    async send(order) {
+      const doFetch = fetchImpl || fetch;
+      const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+      const timer = controller ? setTimeout(() => controller.abort(), timeout) : null;
+      let response;
+      try {
+        response = await doFetch(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(order),
+          signal: controller ? controller.signal : undefined
+        });
+      } catch (error) {
+        // Сеть недоступна или истёк таймаут — можно повторить
+        throw new OrderSubmitError('Не удалось связаться с сервером', { retryable: true });
+      } finally {
+        if (timer) clearTimeout(timer);
+      }
+      let body = {};
+      try {
+        body = await response.json();
+      } catch (e) {
+        body = {};
+      }
+      if (!response.ok) {
+        throw new OrderSubmitError(body.error || `Сервер ответил ошибкой ${response.status}`, {
+          retryable: response.status >= 500 || response.status === 429,
+          status: response.status
+        });
+      }
+      return { ok: true, ...body };
+    },
+    // Текущий статус заказа с сервера; null, если сервер о заказе не знает
+    async getStatus(number) {
+      const doFetch = fetchImpl || fetch;
+      const response = await doFetch(`${endpoint}/${encodeURIComponent(number)}`);
+      if (response.status === 404) return null;
+      if (!response.ok) throw new OrderSubmitError(`Сервер ответил ошибкой ${response.status}`, { status: response.status });
+      const body = await response.json();
+      return body.status || null;
+    },
+    // Результат онлайн-оплаты — чтобы менеджер и админка его видели. payment — { method, status, id };
+    // key — ключ оформления заказа: без него сервер результат не примет
+    async reportPayment(number, payment, key) {
+      const doFetch = fetchImpl || fetch;
+      let response;
+      try {
+        response = await doFetch(`${endpoint}/${encodeURIComponent(number)}/payment`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ method: payment.method, status: payment.status, id: payment.id || null, key })
+        });
+      } catch (error) {
+        throw new OrderSubmitError('Не удалось связаться с сервером', { retryable: true });
+      }
+      if (!response.ok) throw new OrderSubmitError(`Сервер ответил ошибкой ${response.status}`, { status: response.status });
+      return { ok: true };
+    },
+    // Остаток на сертификате: { code, balance } или null, если такого сертификата нет
+    async checkCertificate(code) {
+      if (!certificatesEndpoint) throw new OrderSubmitError('Проверка сертификатов не настроена');
+      const doFetch = fetchImpl || fetch;
+      let response;
+      try {
+        response = await doFetch(`${certificatesEndpoint}/${encodeURIComponent(code)}`);
+      } catch (error) {
+        throw new OrderSubmitError('Не удалось связаться с сервером', { retryable: true });
+      }
+      if (response.status === 404) return null;
+      if (!response.ok) throw new OrderSubmitError(`Сервер ответил ошибкой ${response.status}`, { status: response.status });
+      const body = await response.json();
+      return { code: body.code, balance: body.balance };
+    }
+  };
+}
+
+// Ничего не отправляет, запоминает заказы. fail: true | число неудачных попыток до успеха.
+// certificates — { КОД: остаток } для проверки сертификатов.
+function createMockTransport({ fail = false, delay = 0, certificates = {} } = {}) {
+  let failuresLeft = fail === true ? Infinity : Number(fail) || 0;
+  const sent = [];
+  return {
+    name: 'mock',
+    sent,
+    async send(order) {
+      if (delay) await new Promise(resolve => setTimeout(resolve, delay));
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        throw new OrderSubmitError('Тестовая ошибка отправки', { retryable: true });
+      }
+      sent.push(order);
+      return { ok: true };
+    },
+    async getStatus(number) {
+      return sent.some(order => order.number === number) ? 'new' : null;
+    },
+    async reportPayment(number, payment, key) {
+      const order = sent.find(o => o.number === number);
+      if (!order) throw new OrderSubmitError('Заказ не найден', { status: 404 });
+      if (order.key !== key) throw new OrderSubmitError('Нет доступа к заказу', { status: 403 });
+      order.payment = { ...order.payment, ...payment };
+      return { ok: true };
+    },
+    async checkCertificate(code) {
+      return code in certificates ? { code, balance: certificates[code] } : null;
+    }
+  };
+}
+
+function createOrderTransport(config) {
+  switch (config.transport) {
+    case 'http': return createHttpTransport(config);
+    case 'mock': return createMockTransport(config);
+    default: throw new Error(`Неизвестный транспорт заказов: ${config.transport}`);
+  }
+}
+
+// Отправляет заказ, повторяя попытки при временных ошибках (сеть, 5xx).
+// Ошибки в данных (4xx) не повторяются. Бросает OrderSubmitError.
+async function submitOrder(order, transport, { retries = 2, retryDelay = 1000 } = {}) {
+  let attempt = 0;
+  for (;;) {
+    try {
+      return await transport.send(order);
+    } catch (error) {
+      const submitError = error instanceof OrderSubmitError
+        ? error
+        : new OrderSubmitError(error.message || 'Ошибка отправки заказа', { retryable: true });
+      if (!submitError.retryable || attempt >= retries) throw submitError;
+      attempt++;
+      await new Promise(resolve => setTimeout(resolve, retryDelay * attempt));
+    }
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    OrderSubmitError, ORDER_STATUSES, generateOrderNumber, generateOrderKey, buildOrder, formatRub, escapeMarkdown, formatOrderMessage,
+    formatPaymentMessage,
+    createHttpTransport, createMockTransport, createOrderTransport, submitOrder
+  };
+}
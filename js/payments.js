@@ -0,0 +1,151 @@
+// ============================================
+// Оплата заказа: способы оплаты, статусы и провайдер онлайн-оплаты.
+// Провайдер — объект с методами pay({ orderNumber, amount, description }) → Promise<{ id, status }>
+// и getStatus(id) → Promise<status>. Ключи настоящего эквайринга живут только на сервере.
+// ============================================
+
+// В браузере функции из js/company.js уже глобальные, в Node подключаем явно
+if (typeof module !== 'undefined' && module.exports) {
+  var { isSellerComplete } = require('./company.js');
+}
+
+class PaymentError extends Error {
+  constructor(message, { retryable = true } = {}) {
+    super(message);
+    this.name = 'PaymentError';
+    this.retryable = retryable;
+  }
+}
+
+// onDelivery — платят при получении, поэтому недоступно при отправке транспортной компанией
+const PAYMENT_METHODS = {
+  cash: { label: 'Наличными при получении', onDelivery: true },
+  card: { label: 'Картой при получении', onDelivery: true },
+  online: { label: 'Онлайн на сайте', onDelivery: false },
+  invoice: { label: 'По счёту для юрлиц', onDelivery: false }
+};
+
+const PAYMENT_STATUSES = {
+  'on-delivery': 'Оплата при получении',
+  'awaiting-invoice': 'Ожидает оплаты по счёту',
+  pending: 'Ожидает оплаты',
+  paid: 'Оплачен',
+  failed: 'Оплата не прошла',
+  cancelled: 'Оплата отменена'
+};
+
+function paymentMethodLabel(method) {
+  return PAYMENT_METHODS[method] ? PAYMENT_METHODS[method].label : method;
+}
+
+function paymentStatusLabel(status) {
+  return PAYMENT_STATUSES[status] || status;
+}
+
+// Способы из конфига, которые сайт сейчас может принять: онлайн — только с подключённым провайдером,
+// по счёту — только с заполненными реквизитами продавца (seller из SHOP_CONFIG.company)
+function enabledPaymentMethods(methods, { provider = null, seller = null } = {}) {
+  return methods.filter(id => {
+    if (id === 'online') return Boolean(provider);
+    if (id === 'invoice') return isSellerComplete(seller);
+    return true;
+  });
+}
+
+// Способы из конфига, доступные для зоны доставки (см. SHOP_CONFIG.delivery.zones).
+// estimated — в заказе весовые товары: точной суммы ещё нет, онлайн заплатить нельзя.
+// company — покупает организация: только по счёту; частному лицу счёт не выставляем.
+function availablePaymentMethods(zone, methods, { estimated = false, company = false } = {}) {
+  return methods.filter(id => {
+    if (!PAYMENT_METHODS[id]) return false;
+    if ((id === 'invoice') !== company) return false;
+    if (PAYMENT_METHODS[id].onDelivery && zone.method === 'transport') return false;
+    return !(id === 'online' && estimated);
+  });
+}
+
+function initialPaymentStatus(method) {
+  if (!PAYMENT_METHODS[method]) throw new PaymentError(`Неизвестный способ оплаты: ${method}`, { retryable: false });
+  if (PAYMENT_METHODS[method].onDelivery) return 'on-delivery';
+  if (method === 'invoice') return 'awaiting-invoice';
+  return 'pending';
+}
+
+// Онлайн-оплату можно начать заново, пока она не прошла
+function canPayOnline(payment) {
+  return Boolean(payment) && payment.method === 'online' && ['pending', 'failed', 'cancelled'].includes(payment.status);
+}
+
+// Тестовый провайдер: деньги не списываются. outcome — чем заканчивается оплата ('paid' | 'failed' | 'cancelled' | 'pending');
+// confirm(text) → boolean, если задан, спрашивает покупателя — «нет» означает отмену.
+function createFakePaymentProvider({ outcome = 'paid', delay = 0, confirm = null } = {}) {
+  const payments = new Map();
+  let counter = 0;
+  return {
+    name: 'fake',
+    async pay({ orderNumber, amount, description }) {
+      if (delay) await new Promise(resolve => setTimeout(resolve, delay));
+      const id = `fake-${orderNumber}-${++counter}`;
+      let status = outcome;
+      if (confirm && !confirm(`Тестовая оплата: ${description}, ${amount} ₽. Деньги не списываются. Оплатить?`)) {
+        status = 'cancelled';
+      }
+      payments.set(id, status);
+      return { id, status };
+    },
+    async getStatus(id) {
+      if (!payments.has(id)) throw new PaymentError('Платёж не найден', { retryable: false });
+      return payments.get(id);
+    }
+  };
+}
+
+// Тестовый провайдер — только на машине разработчика: на сайте по нему можно «оплатить» заказ, не заплатив
+function isDevHost(hostname) {
+  return ['localhost', '127.0.0.1', '[::1]', ''].includes(String(hostname || ''));
+}
+
+// null — онлайн-оплата не подключена. options.hostname — где открыт сайт (window.location.hostname)
+function createPaymentProvider(config, { hostname = '', ...options } = {}) {
+  switch (config.provider) {
+    case null:
+    case undefined:
+      return null;
+    case 'fake':
+      if (!isDevHost(hostname)) {
+        console.warn('Тестовый провайдер оплаты работает только на localhost — онлайн-оплата отключена');
+        return null;
+      }
+      return createFakePaymentProvider({ ...config.fake, ...options });
+    default: throw new Error(`Неизвестный провайдер оплаты: ${config.provider}`);
+  }
+}
+
+// Онлайн-оплата заказа. Ошибки провайдера не бросает — возвращает платёж со статусом failed и текстом ошибки.
+// → { method, status, id, error, updatedAt }
+async function payOrder(order, provider, now = () => new Date()) {
+  const base = { method: 'online', id: null, error: null };
+  try {
+    const result = await provider.pay({
+      orderNumber: order.number,
+      amount: order.totals.total,
+      description: `Заказ ${order.number}`
+    });
+    return { ...base, id: result.id, status: result.status, updatedAt: now().toISOString() };
+  } catch (error) {
+    return {
+      ...base,
+      status: 'failed',
+      error: error instanceof PaymentError ? error.message : 'Платёжный сервис недоступен',
+      updatedAt: now().toISOString()
+    };
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PaymentError, PAYMENT_METHODS, PAYMENT_STATUSES, paymentMethodLabel, paymentStatusLabel,
+    enabledPaymentMethods, availablePaymentMethods, initialPaymentStatus, canPayOnline,
+    createFakePaymentProvider, isDevHost, createPaymentProvider, payOrder
+  };
+}
@@ -0,0 +1,91 @@
+// ============================================
+// Промокоды и подарочные сертификаты.
+// Промокоды — в SHOP_CONFIG.promo.codes (js/config.js), это публичные акции.
+// Сертификаты — предоплаченные, их остатки знает только сервер (server/order-relay.js).
+// ============================================
+
+// В браузере функции из js/delivery-slots.js, js/units.js и js/validation.js уже глобальные, в Node подключаем явно
+if (typeof module !== 'undefined' && module.exports) {
+  var { moscowTime } = require('./delivery-slots.js');
+  var { lineTotal } = require('./units.js');
+  var { normalizePhone } = require('./validation.js');
+}
+
+const PROMO_TYPES = {
+  PERCENT: 'percent',
+  FIXED: 'fixed'
+};
+
+// Коды вводят как попало: ' newyear ' → 'NEWYEAR'
+function normalizePromoCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function findPromo(promos, code) {
+  const normalized = normalizePromoCode(code);
+  return promos.find(promo => normalizePromoCode(promo.code) === normalized) || null;
+}
+
+// Товары, на которые действует код: без ограничений — вся корзина
+function promoEligibleItems(promo, cart) {
+  const hasCategories = Array.isArray(promo.categories) && promo.categories.length > 0;
+  const hasSkus = Array.isArray(promo.skus) && promo.skus.length > 0;
+  if (!hasCategories && !hasSkus) return cart;
+  return cart.filter(item =>
+    (hasCategories && promo.categories.includes(item.category)) ||
+    (hasSkus && promo.skus.includes(item.sku || item.id))
+  );
+}
+
+// Проверка кода и расчёт скидки. Даты validFrom/validUntil — 'YYYY-MM-DD' по Москве, включительно.
+// → { ok: true, promo, discount } | { ok: false, promo, error }
+function applyPromo(promo, cart, now = new Date()) {
+  if (!promo) return { ok: false, promo, error: 'Такого промокода нет' };
+  const today = moscowTime(now).dateKey;
+  if (promo.validFrom && today < promo.validFrom) {
+    return { ok: false, promo, error: 'Промокод ещё не действует' };
+  }
+  if (promo.validUntil && today > promo.validUntil) {
+    return { ok: false, promo, error: 'Срок действия промокода истёк' };
+  }
+  const itemsTotal = cart.reduce((sum, item) => sum + lineTotal(item), 0);
+  if (promo.minTotal && itemsTotal < promo.minTotal) {
+    return { ok: false, promo, error: `Промокод действует при заказе от ${promo.minTotal.toLocaleString('ru-RU')} ₽` };
+  }
+  const eligibleTotal = promoEligibleItems(promo, cart).reduce((sum, item) => sum + lineTotal(item), 0);
+  if (eligibleTotal === 0) {
+    return { ok: false, promo, error: 'В корзине нет товаров, на которые действует промокод' };
+  }
+  const discount = promo.type === PROMO_TYPES.PERCENT
+    ? Math.round(eligibleTotal * promo.value / 100)
+    : Math.min(promo.value, eligibleTotal);
+  return { ok: true, promo, discount };
+}
+
+// Промокод «на первый заказ» (firstOrder): с этого телефона ещё не заказывали. Отменённые заказы не считаются.
+// Одно правило для сервера (все заказы) и витрины (история заказов этого браузера)
+function isFirstOrder(phone, orders) {
+  const normalized = normalizePhone(phone);
+  return !orders.some(order => order.status !== 'cancelled' && normalizePhone(order.customer && order.customer.phone) === normalized);
+}
+
+// Сертификат оплачивает заказ целиком или частично, включая доставку
+function applyCertificate(certificate, amountDue) {
+  if (!certificate) return { applied: 0, remaining: 0 };
+  const applied = Math.min(certificate.balance, amountDue);
+  return { applied, remaining: certificate.balance - applied };
+}
+
+// 'Новогодние сеты −10%' или, если названия нет, '−10%' / '−500 ₽'
+function describePromo(promo) {
+  if (promo.title) return promo.title;
+  return promo.type === PROMO_TYPES.PERCENT
+    ? `−${promo.value}%`
+    : `−${promo.value.toLocaleString('ru-RU')} ₽`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PROMO_TYPES, normalizePromoCode, findPromo, promoEligibleItems, applyPromo, isFirstOrder, applyCertificate, describePromo
+  };
+}
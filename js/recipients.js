@@ -0,0 +1,186 @@
+// ============================================
+// Корпоративные подарки: один заказ — много получателей.
+// Корзина задаёт, что куплено всего; список получателей — кому что везти.
+// Каждый получатель — отдельная доставка по тарифу выбранной зоны.
+// ============================================
+
+// В браузере функции из js/catalog.js, js/delivery-tariffs.js, js/units.js и js/validation.js уже глобальные,
+// в Node подключаем явно
+if (typeof module !== 'undefined' && module.exports) {
+  var { parseCSV } = require('./catalog.js');
+  var { calculateDelivery } = require('./delivery-tariffs.js');
+  var { itemPrice } = require('./units.js');
+  var { formatPhone, isCompletePhone, isAddressComplete } = require('./validation.js');
+}
+
+const RECIPIENTS_STORAGE_KEY = 'dv-recipients';
+
+// Заголовки колонок в файле со списком получателей; порядок колонок любой
+const RECIPIENT_COLUMNS = {
+  name: ['имя', 'получатель', 'фио'],
+  phone: ['телефон', 'тел', 'phone'],
+  address: ['адрес', 'адрес доставки'],
+  card: ['открытка', 'текст открытки', 'пожелание']
+};
+
+let recipientCounter = 0;
+
+function createRecipient(fields = {}) {
+  recipientCounter++;
+  return {
+    id: `r${Date.now().toString(36)}${recipientCounter}`,
+    name: fields.name || '',
+    phone: fields.phone ? formatPhone(fields.phone) : '',
+    address: fields.address || '',
+    card: fields.card || '',
+    // { [id позиции корзины]: количество }
+    items: fields.items || {}
+  };
+}
+
+// Список из CSV (Excel сохраняет через «;»). → { recipients, errors: [{ line, message }] }
+function parseRecipientsFile(text) {
+  const firstLine = String(text).split(/\r?\n/)[0] || '';
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  let rows;
+  try {
+    rows = parseCSV(text, delimiter);
+  } catch (error) {
+    return { recipients: [], errors: [{ line: null, message: error.message }] };
+  }
+  if (rows.length === 0) return { recipients: [], errors: [{ line: null, message: 'Файл пустой' }] };
+
+  const header = rows[0].cells.map(cell => cell.trim().toLowerCase());
+  const index = {};
+  for (const [key, names] of Object.entries(RECIPIENT_COLUMNS)) {
+    index[key] = header.findIndex(cell => names.includes(cell));
+  }
+  const missing = ['name', 'phone', 'address'].filter(key => index[key] === -1);
+  if (missing.length > 0) {
+    return {
+      recipients: [],
+      errors: [{ line: rows[0].line, message: `Нет колонок: ${missing.map(key => RECIPIENT_COLUMNS[key][0]).join(', ')}` }]
+    };
+  }
+
+  const recipients = [];
+  const errors = [];
+  for (const { line, cells } of rows.slice(1)) {
+    const cell = (key) => (index[key] === -1 ? '' : String(cells[index[key]] || '').trim());
+    const recipient = createRecipient({ name: cell('name'), phone: cell('phone'), address: cell('address'), card: cell('card') });
+    const problems = recipientProblems(recipient);
+    if (problems.length > 0) errors.push({ line, message: problems.join('; ') });
+    // Строку с ошибкой всё равно добавляем — поправить её проще в таблице, чем в файле
+    recipients.push(recipient);
+  }
+  return { recipients, errors };
+}
+
+// Что не так с контактами получателя — для покупателя
+function recipientProblems(recipient, { cardMaxLength = Infinity } = {}) {
+  const problems = [];
+  if (recipient.name.trim().length < 2) problems.push('не указано имя');
+  if (!isCompletePhone(recipient.phone)) problems.push('неполный телефон');
+  if (!isAddressComplete(recipient.address)) problems.push('адрес без улицы или номера дома');
+  if (recipient.card.length > cardMaxLength) problems.push(`текст открытки длиннее ${cardMaxLength} символов`);
+  return problems;
+}
+
+function assignedQty(recipients, itemId) {
+  return recipients.reduce((sum, r) => sum + (r.items[itemId] || 0), 0);
+}
+
+// Раздать каждую позицию корзины поровну; остаток — первым в списке
+function distributeEvenly(cart, recipients) {
+  return recipients.map((recipient, i) => {
+    const items = {};
+    for (const item of cart) {
+      const share = Math.floor(item.qty / recipients.length) + (i < item.qty % recipients.length ? 1 : 0);
+      if (share > 0) items[item.id] = share;
+    }
+    return { ...recipient, items };
+  });
+}
+
+// Проблемы всего списка: контакты каждого получателя и распределение корзины.
+// → [{ recipientId | itemId, message }]; пустой список — можно оформлять.
+function validateRecipients(cart, recipients, options = {}) {
+  const problems = [];
+  if (recipients.length === 0) return [{ message: 'Добавьте хотя бы одного получателя' }];
+  recipients.forEach((recipient, i) => {
+    const label = recipient.name.trim() || `Получатель ${i + 1}`;
+    const contact = recipientProblems(recipient, options);
+    if (contact.length > 0) problems.push({ recipientId: recipient.id, message: `${label}: ${contact.join(', ')}` });
+    if (!cart.some(item => recipient.items[item.id] > 0)) {
+      problems.push({ recipientId: recipient.id, message: `${label}: не выбран подарок` });
+    }
+  });
+  for (const item of cart) {
+    const assigned = assignedQty(recipients, item.id);
+    if (assigned !== item.qty) {
+      problems.push({ itemId: item.id, message: `${item.name}: распределено ${assigned} из ${item.qty}` });
+    }
+  }
+  return problems;
+}
+
+// Доставка нескольким получателям: тариф зоны за каждого, бесплатно — по сумме подарков получателя.
+// Результат того же вида, что у calculateDelivery, плюс perRecipient: [{ id, cost }].
+function calculateRecipientsDelivery(zones, zoneId, cart, recipients) {
+  const perRecipient = recipients.map(recipient => {
+    const itemsTotal = cart.reduce((sum, item) => sum + itemPrice(item) * (recipient.items[item.id] || 0), 0);
+    return { id: recipient.id, ...calculateDelivery(zones, zoneId, itemsTotal) };
+  });
+  const zone = perRecipient.length > 0 ? perRecipient[0].zone : calculateDelivery(zones, zoneId, 0).zone;
+  const sum = (key) => perRecipient.reduce((acc, d) => acc + d[key], 0);
+  return {
+    zone,
+    base: sum('base'),
+    discount: sum('discount'),
+    cost: sum('cost'),
+    freeFrom: zone.freeFrom,
+    remainingToFree: 0,
+    eta: zone.eta,
+    perRecipient: perRecipient.map(d => ({ id: d.id, cost: d.cost }))
+  };
+}
+
+// Получатели в том виде, в каком уходят в заказ
+function buildOrderRecipients(cart, recipients, delivery) {
+  return recipients.map(recipient => ({
+    name: recipient.name.trim(),
+    phone: recipient.phone.trim(),
+    address: recipient.address.trim(),
+    card: recipient.card.trim() || null,
+    items: cart
+      .filter(item => recipient.items[item.id] > 0)
+      .map(item => ({ id: item.id, name: item.name, qty: recipient.items[item.id] })),
+    deliveryCost: (delivery.perRecipient.find(d => d.id === recipient.id) || { cost: 0 }).cost
+  }));
+}
+
+function readRecipients(storage = window.localStorage) {
+  try {
+    const data = JSON.parse(storage.getItem(RECIPIENTS_STORAGE_KEY) || '[]');
+    return Array.isArray(data) ? data.filter(r => r && r.id && r.items) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveRecipients(recipients, storage = window.localStorage) {
+  try {
+    if (recipients.length === 0) storage.removeItem(RECIPIENTS_STORAGE_KEY);
+    else storage.setItem(RECIPIENTS_STORAGE_KEY, JSON.stringify(recipients));
+  } catch (e) {
+    console.error('Recipients storage error:', e);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RECIPIENTS_STORAGE_KEY, createRecipient, parseRecipientsFile, recipientProblems,
+    assignedQty, distributeEvenly, validateRecipients, calculateRecipientsDelivery, buildOrderRecipients,
+    readRecipients, saveRecipients
+  };
+}
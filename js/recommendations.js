@@ -0,0 +1,106 @@
+// ============================================
+// Рекомендации «Добавьте к заказу» и недавно просмотренные товары.
+// Совместные покупки считаем по истории заказов этого устройства (js/order-history.js);
+// пока её нет — подбираем по соседним категориям из SHOP_CONFIG.recommendations (js/config.js).
+// ============================================
+
+// В браузере функции из js/stock.js и js/set-builder.js уже глобальные, в Node подключаем явно
+if (typeof module !== 'undefined' && module.exports) {
+  var { isOrderable } = require('./stock.js');
+  var { isCustomSetId } = require('./set-builder.js');
+}
+
+const RECENTLY_VIEWED_KEY = 'dv-recent';
+
+const RECENTLY_VIEWED_LIMIT = 12;
+
+function readRecentlyViewed(storage = window.localStorage) {
+  try {
+    const data = JSON.parse(storage.getItem(RECENTLY_VIEWED_KEY) || '[]');
+    return Array.isArray(data) ? data.filter(id => typeof id === 'string' && id) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Просмотренный товар — в начало списка. Возвращает обновлённый список.
+function recordProductView(id, storage = window.localStorage) {
+  const viewed = [id, ...readRecentlyViewed(storage).filter(x => x !== id)].slice(0, RECENTLY_VIEWED_LIMIT);
+  try {
+    storage.setItem(RECENTLY_VIEWED_KEY, JSON.stringify(viewed));
+  } catch (e) {
+    console.error('Recently viewed storage error:', e);
+  }
+  return viewed;
+}
+
+// Артикулы позиций заказа или корзины. Свой сет раскладываем на составляющие — у него нет своего артикула.
+function basketProductIds(items) {
+  const ids = [];
+  for (const item of items) {
+    if (isCustomSetId(item.id)) {
+      (item.components || []).forEach(c => ids.push(c.id));
+    } else {
+      ids.push(item.id);
+    }
+  }
+  return Array.from(new Set(ids));
+}
+
+// Сколько раз товары покупали вместе: Map(id → Map(другой id → число заказов))
+function coPurchaseCounts(orders) {
+  const counts = new Map();
+  for (const order of orders) {
+    const ids = basketProductIds(order.items || []);
+    for (const id of ids) {
+      if (!counts.has(id)) counts.set(id, new Map());
+      const row = counts.get(id);
+      ids.forEach(other => {
+        if (other !== id) row.set(other, (row.get(other) || 0) + 1);
+      });
+    }
+  }
+  return counts;
+}
+
+// Что предложить к товарам baseIds. Порядок: чаще покупали вместе → недавно смотрели →
+// соседние категории (crossCategories) → популярность → артикул. Одни и те же входные данные — одна и та же выдача.
+// Только то, что можно заказать, и без того, что уже выбрано.
+function recommendProducts(baseIds, products, { orders = [], recentlyViewed = [], crossCategories = {}, limit = 4 } = {}) {
+  const counts = coPurchaseCounts(orders);
+  const baseCategories = baseIds
+    .map(id => products.find(p => p.id === id))
+    .filter(Boolean)
+    .map(p => p.category);
+  const relatedCategories = new Set(baseCategories.flatMap(category => crossCategories[category] || []));
+
+  const scored = products
+    .filter(p => !baseIds.includes(p.id) && isOrderable(p))
+    .map(p => {
+      const together = baseIds.reduce((sum, id) => sum + ((counts.get(id) && counts.get(id).get(p.id)) || 0), 0);
+      const viewedIndex = recentlyViewed.indexOf(p.id);
+      return {
+        product: p,
+        together,
+        viewed: viewedIndex === -1 ? Infinity : viewedIndex,
+        related: relatedCategories.has(p.category) ? 1 : 0
+      };
+    })
+    .filter(s => s.together > 0 || s.viewed !== Infinity || s.related > 0);
+
+  scored.sort((a, b) =>
+    b.together - a.together ||
+    a.viewed - b.viewed ||
+    b.related - a.related ||
+    b.product.popularity - a.product.popularity ||
+    a.product.id.localeCompare(b.product.id)
+  );
+  return scored.slice(0, limit).map(s => s.product);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RECENTLY_VIEWED_KEY, RECENTLY_VIEWED_LIMIT,
+    readRecentlyViewed, recordProductView, basketProductIds, coPurchaseCounts, recommendProducts
+  };
+}
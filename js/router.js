@@ -0,0 +1,96 @@
+// ============================================
+// Маршруты: страницы ↔ адреса вида #/blog/kak-otkryt-ustricu?x=1
+// Хеш, а не history API: GitHub Pages не умеет отдавать index.html на любой путь.
+// ============================================
+
+const ROUTES = [
+  { page: 'home', path: '/' },
+  { page: 'catalog', path: '/catalog' },
+  { page: 'product', path: '/product/:sku' },
+  { page: 'sets', path: '/sets' },
+  { page: 'set-builder', path: '/sets/builder' },
+  { page: 'blog', path: '/blog' },
+  { page: 'article', path: '/blog/:id' },
+  { page: 'delivery', path: '/delivery' },
+  { page: 'origin', path: '/origin' },
+  { page: 'contacts', path: '/contacts' },
+  { page: 'favorites', path: '/favorites' },
+  { page: 'cart', path: '/cart' },
+  { page: 'recipients', path: '/cart/recipients' },
+  { page: 'orders', path: '/orders' },
+  { page: 'order', path: '/orders/:number' },
+  { page: 'invoice', path: '/orders/:number/invoice' },
+  // Админка: вход по паролю сотрудника, в меню витрины её нет
+  { page: 'admin', path: '/admin' },
+  { page: 'admin-orders', path: '/admin/orders' },
+  { page: 'admin-products', path: '/admin/products' },
+];
+
+const NOT_FOUND_PAGE = 'not-found';
+
+// Битый %-escape в ручной ссылке не должен ронять приложение
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+function parseQuery(search) {
+  const query = {};
+  if (!search) return query;
+  for (const pair of search.split('&')) {
+    if (!pair) continue;
+    const [key, value = ''] = pair.split('=');
+    query[safeDecode(key)] = safeDecode(value.replace(/\+/g, ' '));
+  }
+  return query;
+}
+
+function buildQuery(query = {}) {
+  const pairs = Object.keys(query)
+    .filter(key => query[key] !== undefined && query[key] !== null && query[key] !== '')
+    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(query[key])}`);
+  return pairs.length > 0 ? '?' + pairs.join('&') : '';
+}
+
+// '#/blog/abc?x=1' → { page: 'article', params: { id: 'abc' }, query: { x: '1' } }
+// Старые ссылки вида '#blog' тоже понимаем. Неизвестный путь → страница 404.
+function parseRoute(hash) {
+  const raw = String(hash || '').replace(/^#/, '');
+  const [pathPart, search = ''] = raw.split('?');
+  const path = '/' + pathPart.replace(/^\/+/, '').replace(/\/+$/, '');
+  const query = parseQuery(search);
+
+  const segments = path.split('/').filter(Boolean);
+  for (const route of ROUTES) {
+    const pattern = route.path.split('/').filter(Boolean);
+    if (pattern.length !== segments.length) continue;
+    const params = {};
+    const matches = pattern.every((part, i) => {
+      if (part.startsWith(':')) {
+        params[part.slice(1)] = safeDecode(segments[i]);
+        return true;
+      }
+      return part === segments[i];
+    });
+    if (matches) return { page: route.page, params, query, path };
+  }
+  return { page: NOT_FOUND_PAGE, params: {}, query, path };
+}
+
+// ('article', { id: 'abc' }) → '#/blog/abc'
+function buildRoute(page, params = {}, query = {}) {
+  const route = ROUTES.find(r => r.page === page);
+  if (!route) throw new Error(`Неизвестная страница: ${page}`);
+  const path = route.path.replace(/:(\w+)/g, (_, name) => {
+    if (params[name] == null) throw new Error(`Для страницы ${page} нужен параметр ${name}`);
+    return encodeURIComponent(params[name]);
+  });
+  return '#' + path + buildQuery(query);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ROUTES, NOT_FOUND_PAGE, parseQuery, buildQuery, parseRoute, buildRoute };
+}
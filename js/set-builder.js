@@ -0,0 +1,136 @@
+// ============================================
+// Сеты. Готовые сеты описаны в колонке «Состав» каталога (см. resolveBundles в js/catalog.js).
+// «Собрать свой сет»: состав из товаров каталога, скидка за комплект,
+// упаковка и открытка. В корзине сет — одна позиция со списком составляющих.
+// Правила — в SHOP_CONFIG.setBuilder (js/config.js).
+// ============================================
+
+// В браузере функции из js/stock.js и js/units.js уже глобальные, в Node подключаем явно
+if (typeof module !== 'undefined' && module.exports) {
+  var { bundleStock } = require('./stock.js');
+  var { itemPrice, isVariableWeight } = require('./units.js');
+}
+
+const CUSTOM_SET_PREFIX = 'custom-set:';
+// Своя категория у собранного сета: скидка за комплект уже дана, акции на категорию «Сеты» на него не действуют
+const CUSTOM_SET_CATEGORY = 'custom-set';
+
+// Весовые товары в сет не берём: цена сета фиксированная, а их точную сумму узнаём только после взвешивания
+function canAddToCustomSet(product, config) {
+  return config.categories.includes(product.category) && !isVariableWeight(product);
+}
+
+// Скидка за число разных товаров в сете: берём самое выгодное подходящее правило
+function setDiscountPercent(componentCount, discounts) {
+  return discounts
+    .filter(rule => componentCount >= rule.minComponents)
+    .reduce((best, rule) => Math.max(best, rule.percent), 0);
+}
+
+// Следующая ступень скидки: { percent, missing } или null, если уже максимальная
+function nextSetDiscount(componentCount, discounts) {
+  const next = discounts
+    .filter(rule => rule.minComponents > componentCount)
+    .sort((a, b) => a.minComponents - b.minComponents)[0];
+  return next ? { percent: next.percent, missing: next.minComponents - componentCount } : null;
+}
+
+// Выгода сета против покупки составляющих по отдельности; 0, если сет не дешевле
+function bundleSavings(item) {
+  if (!item.components) return 0;
+  const separately = item.components.reduce((sum, c) => sum + c.price * c.qty, 0);
+  return Math.max(0, separately - item.price);
+}
+
+// Короткий устойчивый хеш текста открытки — чтобы одинаковые сеты складывались в одну позицию
+function hashText(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  return (hash >>> 0).toString(36);
+}
+
+function customSetId({ components, packaging, card }) {
+  const parts = components
+    .map(c => `${c.id}x${c.qty}`)
+    .sort()
+    .join(',');
+  return `${CUSTOM_SET_PREFIX}${parts}:${packaging}${card ? ':' + hashText(card) : ''}`;
+}
+
+function isCustomSetId(id) {
+  return String(id).startsWith(CUSTOM_SET_PREFIX);
+}
+
+// Расчёт стоимости: components — [{ product, qty }]
+// → { itemsTotal, discountPercent, discount, packaging, cardPrice, total }
+function calculateCustomSet(components, { packaging, card }, config) {
+  const itemsTotal = components.reduce((sum, { product, qty }) => sum + itemPrice(product) * qty, 0);
+  const discountPercent = setDiscountPercent(components.length, config.discounts);
+  const discount = Math.round(itemsTotal * discountPercent / 100);
+  const packagingOption = config.packaging.find(p => p.id === packaging) || config.packaging[0];
+  const cardPrice = card ? config.card.price : 0;
+  return {
+    itemsTotal,
+    discountPercent,
+    discount,
+    packaging: packagingOption,
+    cardPrice,
+    total: itemsTotal - discount + packagingOption.price + cardPrice
+  };
+}
+
+// Позиция корзины из описания сета { components: [{ id, qty }], packaging, card }.
+// → { item, problems }: item — null, если сет больше не собрать; problems — что не так, для покупателя.
+function buildCustomSet(spec, products, config) {
+  const problems = [];
+  const components = [];
+  for (const { id, qty } of spec.components) {
+    const product = products.find(p => p.id === id);
+    if (!product || !canAddToCustomSet(product, config)) {
+      problems.push(`${id} — больше нельзя добавить в сет`);
+      continue;
+    }
+    components.push({ product, qty });
+  }
+  if (components.length < config.minComponents) {
+    problems.push(`в сете должно быть не меньше ${config.minComponents} разных товаров`);
+    return { item: null, problems };
+  }
+
+  const card = spec.card ? String(spec.card).trim().slice(0, config.card.maxLength) : '';
+  const price = calculateCustomSet(components, { packaging: spec.packaging, card }, config);
+  const normalized = {
+    components: components.map(({ product, qty }) => ({ id: product.id, qty })),
+    packaging: price.packaging.id,
+    card
+  };
+  return {
+    item: {
+      id: customSetId(normalized),
+      sku: 'CUSTOM-SET',
+      name: 'Свой сет',
+      category: CUSTOM_SET_CATEGORY,
+      categoryName: 'Сеты',
+      price: price.total,
+      unit: 'set',
+      weight: null,
+      params: components.map(({ product, qty }) => `${product.name} × ${qty}`).join(' + '),
+      image: components[0].product.image,
+      stock: bundleStock(components),
+      components: components.map(({ product, qty }) => ({ id: product.id, name: product.name, qty, price: itemPrice(product) })),
+      packaging: { id: price.packaging.id, name: price.packaging.name, price: price.packaging.price },
+      card: card || null,
+      discountPercent: price.discountPercent,
+      // Для сохранения корзины: из этого описания сет пересобирается по свежему каталогу
+      set: normalized
+    },
+    problems
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CUSTOM_SET_PREFIX, CUSTOM_SET_CATEGORY, canAddToCustomSet, setDiscountPercent, nextSetDiscount, bundleSavings,
+    customSetId, isCustomSetId, calculateCustomSet, buildCustomSet
+  };
+}
@@ -0,0 +1,118 @@
+// ============================================
+// Наличие: разбор колонки «Наличие» и лимиты количества
+// ============================================
+
+const STOCK_STATUS = {
+  IN_STOCK: 'in_stock',
+  LOW: 'low',
+  OUT: 'out',
+  PREORDER: 'preorder'
+};
+
+// Остаток, начиная с которого показываем «Осталось N шт.»
+const LOW_STOCK_THRESHOLD = 5;
+
+// Ограничение на позицию, когда остаток не указан
+const DEFAULT_MAX_QTY = 99;
+
+// Понимает: «В наличии», «В наличии: 12», «12 шт», «Осталось 3», «Мало: 3»,
+// «Нет в наличии», «0», «Под заказ», «Предзаказ». Пустое значение — в наличии.
+// Возвращает null, если значение не распознано.
+function parseStock(value) {
+  const label = String(value || '').trim();
+  const text = label.toLowerCase().replace(/ё/g, 'е');
+  if (text === '') return { status: STOCK_STATUS.IN_STOCK, count: null };
+  if (/^(нет|нет в наличии|закончил(ся|ось)|распродан)$/.test(text)) {
+    return { status: STOCK_STATUS.OUT, count: 0 };
+  }
+  if (/^(под заказ|предзаказ|на заказ)/.test(text)) {
+    return { status: STOCK_STATUS.PREORDER, count: null };
+  }
+
+  const countMatch = text.match(/^(?:в наличии|есть|осталось|мало)?\s*:?\s*(\d+)\s*(?:шт\.?)?$/);
+  if (countMatch) {
+    const count = Number(countMatch[1]);
+    if (count === 0) return { status: STOCK_STATUS.OUT, count: 0 };
+    const isLow = count <= LOW_STOCK_THRESHOLD || /^(осталось|мало)/.test(text);
+    return { status: isLow ? STOCK_STATUS.LOW : STOCK_STATUS.IN_STOCK, count };
+  }
+  if (/^(в наличии|есть)$/.test(text)) return { status: STOCK_STATUS.IN_STOCK, count: null };
+  return null;
+}
+
+// Подпись для карточки и корзины
+function stockLabel(stock) {
+  if (!stock) return '';
+  switch (stock.status) {
+    case STOCK_STATUS.LOW: return `Осталось ${stock.count} шт.`;
+    case STOCK_STATUS.OUT: return 'Нет в наличии';
+    case STOCK_STATUS.PREORDER: return 'Под заказ';
+    default: return 'В наличии';
+  }
+}
+
+// Сколько единиц товара можно положить в корзину
+function maxOrderQty(product) {
+  const stock = product.stock;
+  if (!stock) return DEFAULT_MAX_QTY;
+  if (stock.status === STOCK_STATUS.OUT) return 0;
+  if (stock.count != null) return stock.count;
+  return DEFAULT_MAX_QTY;
+}
+
+function isOrderable(product) {
+  return maxOrderQty(product) > 0;
+}
+
+// Наличие комплекта из составляющих [{ product, qty }]: сколько комплектов собирается из остатков
+function bundleStock(components) {
+  const count = Math.min(...components.map(({ product, qty }) => Math.floor(maxOrderQty(product) / qty)));
+  if (count === 0) return { status: STOCK_STATUS.OUT, count: 0 };
+  if (components.some(({ product }) => product.stock.status === STOCK_STATUS.PREORDER)) {
+    return { status: STOCK_STATUS.PREORDER, count: null };
+  }
+  if (components.every(({ product }) => product.stock.count == null)) {
+    return { status: STOCK_STATUS.IN_STOCK, count: null };
+  }
+  return { status: count <= LOW_STOCK_THRESHOLD ? STOCK_STATUS.LOW : STOCK_STATUS.IN_STOCK, count };
+}
+
+// Сверяет корзину с актуальным каталогом перед отправкой заказа.
+// Позиции с components (сеты) расходуют ещё и остатки своих составляющих.
+// Возвращает список проблем: [{ id, name, message, available }].
+function checkCartStock(cart, products) {
+  const demand = new Map();
+  const need = (id, name, qty) => {
+    const entry = demand.get(id) || { id, name, qty: 0 };
+    entry.qty += qty;
+    demand.set(id, entry);
+  };
+  for (const item of cart) {
+    if (item.components) item.components.forEach(c => need(c.id, c.name, c.qty * item.qty));
+    // Свой сет собирается на лету и в каталоге его нет — проверяем только составляющие
+    if (!item.components || products.some(p => p.id === item.id)) need(item.id, item.name, item.qty);
+  }
+
+  const problems = [];
+  for (const { id, name, qty } of demand.values()) {
+    const current = products.find(p => p.id === id);
+    if (!current) {
+      problems.push({ id, name, available: 0, message: 'товар снят с продажи' });
+      continue;
+    }
+    const available = maxOrderQty(current);
+    if (available === 0) {
+      problems.push({ id, name, available, message: 'закончился' });
+    } else if (qty > available) {
+      problems.push({ id, name, available, message: `в наличии только ${available} шт.` });
+    }
+  }
+  return problems;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    STOCK_STATUS, LOW_STOCK_THRESHOLD, DEFAULT_MAX_QTY,
+    parseStock, stockLabel, maxOrderQty, isOrderable, bundleStock, checkCartStock
+  };
+}
@@ -0,0 +1,94 @@
+// ============================================
+// Единицы продажи и весовые товары.
+// Цена в каталоге — за единицу (шт, кг, 100 г, сет). У весовых штучных товаров
+// («краб целый, 1.5–1.8 кг») цена за кг, а в корзине считаем по среднему весу —
+// точную сумму менеджер называет после взвешивания.
+// ============================================
+
+const PRICE_UNITS = {
+  piece: { label: 'шт', grams: null },
+  kg: { label: 'кг', grams: 1000 },
+  '100g': { label: '100 г', grams: 100 },
+  set: { label: 'сет', grams: null }
+};
+
+// Как единицу пишут в CSV
+const UNIT_ALIASES = {
+  'шт': 'piece', 'шт.': 'piece', 'штука': 'piece',
+  'кг': 'kg', 'кг.': 'kg',
+  '100 г': '100g', '100г': '100g', '100 гр': '100g',
+  'сет': 'set', 'набор': 'set'
+};
+
+// '' → 'piece' (единица по умолчанию); неизвестное значение → null
+function parseUnit(value) {
+  const normalized = String(value || '').trim().toLowerCase();
+  if (!normalized) return 'piece';
+  return UNIT_ALIASES[normalized] || null;
+}
+
+// '1.5–1.8', '1,5-1,8', '2' → { min, max } в кг; '' → null; мусор → NaN
+function parseWeightRange(value) {
+  const cleaned = String(value || '').trim().replace(/,/g, '.').replace(/\s/g, '');
+  if (!cleaned) return null;
+  const match = cleaned.match(/^(\d+(?:\.\d+)?)(?:[-–—](\d+(?:\.\d+)?))?$/);
+  if (!match) return NaN;
+  const min = Number(match[1]);
+  const max = match[2] ? Number(match[2]) : min;
+  if (min <= 0 || max < min) return NaN;
+  return { min, max };
+}
+
+function unitLabel(unit) {
+  return (PRICE_UNITS[unit] || PRICE_UNITS.piece).label;
+}
+
+// Штучный товар с ценой за вес: итог уточняется после взвешивания
+function isVariableWeight(product) {
+  return Boolean(product.weight) && product.weight.min !== product.weight.max;
+}
+
+// Сколько стоят kilograms товара с ценой price за unit (кг или 100 г), в рублях
+function weightPrice(price, unit, kilograms) {
+  return Math.round(price * kilograms * 1000 / PRICE_UNITS[unit].grams);
+}
+
+// Цена одной позиции в корзине (одной штуки весового товара — по среднему весу)
+function itemPrice(product) {
+  if (!product.weight) return product.price;
+  return weightPrice(product.price, product.unit, (product.weight.min + product.weight.max) / 2);
+}
+
+function lineTotal(item) {
+  return itemPrice(item) * item.qty;
+}
+
+// Вилка суммы для весового товара: { min, max }; для остальных min === max
+function lineRange(item) {
+  if (!item.weight) return { min: lineTotal(item), max: lineTotal(item) };
+  const perKg = item.price * 1000 / PRICE_UNITS[item.unit].grams;
+  return {
+    min: Math.round(perKg * item.weight.min) * item.qty,
+    max: Math.round(perKg * item.weight.max) * item.qty
+  };
+}
+
+// Количество в единицах покупателя: '2 шт', '3 кг', '2 × 100 г'
+function formatQty(item) {
+  if (item.weight || item.unit === 'piece' || !item.unit) return `${item.qty} шт`;
+  if (item.unit === '100g') return `${item.qty} × 100 г`;
+  return `${item.qty} ${unitLabel(item.unit)}`;
+}
+
+// '1.5–1.8 кг'
+function formatWeightRange(weight) {
+  const kg = (value) => String(value).replace('.', ',');
+  return weight.min === weight.max ? `${kg(weight.min)} кг` : `${kg(weight.min)}–${kg(weight.max)} кг`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PRICE_UNITS, parseUnit, parseWeightRange, unitLabel, isVariableWeight, weightPrice, itemPrice, lineTotal, lineRange,
+    formatQty, formatWeightRange
+  };
+}
@@ -0,0 +1,82 @@
+// ============================================
+// Проверка полей форм витрины: форма контактов, оформление заказа, получатели подарков, лендинг.
+// Валидатор поля возвращает текст ошибки для покупателя или '' — всё в порядке.
+// ============================================
+
+// Российский номер в виде 11 цифр с семёркой: '8 (999) 123-45-67' → '79991234567'.
+// Начали сразу с кода оператора (999...) — дописываем 7.
+function normalizePhone(value) {
+  let digits = String(value || '').replace(/\D/g, '');
+  if (digits.length === 0) return '';
+  if (digits[0] === '9') digits = '7' + digits;
+  return '7' + digits.slice(1, 11);
+}
+
+// Маска при вводе: '89991234567' → '+7 999 123-45-67'
+function formatPhone(value) {
+  const digits = normalizePhone(value);
+  if (digits.length === 0) return '';
+  if (digits.length <= 1) return '+7';
+  let formatted = '+7 ';
+  if (digits.length > 1) formatted += digits.slice(1, 4);
+  if (digits.length > 4) formatted += ' ' + digits.slice(4, 7);
+  if (digits.length > 7) formatted += '-' + digits.slice(7, 9);
+  if (digits.length > 9) formatted += '-' + digits.slice(9, 11);
+  return formatted;
+}
+
+// Номер набран целиком: 11 цифр вместе с кодом страны
+function isCompletePhone(value) {
+  return normalizePhone(value).length === 11;
+}
+
+// Адрес, по которому курьер найдёт получателя: не короче пары слов и с номером дома
+function isAddressComplete(address) {
+  const text = String(address || '').trim();
+  return text.length >= 8 && /\d/.test(text) && /[a-zа-яё]{2,}/i.test(text);
+}
+
+function isValidEmail(value) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(String(value || '').trim());
+}
+
+// Валидаторы по правилам. options.required — для необязательных по умолчанию полей (email)
+const FIELD_VALIDATORS = {
+  name: (value) => String(value || '').trim().length < 2 ? 'Введите имя (минимум 2 символа)' : '',
+  phone: (value) => {
+    if (!String(value || '').trim()) return 'Введите телефон';
+    return isCompletePhone(value) ? '' : 'Введите номер полностью: +7 999 123-45-67';
+  },
+  email: (value, { required = false } = {}) => {
+    if (!String(value || '').trim()) return required ? 'Введите email' : '';
+    return isValidEmail(value) ? '' : 'Проверьте email: например, name@example.ru';
+  },
+  address: (value) => {
+    if (!String(value || '').trim()) return 'Введите адрес доставки';
+    return isAddressComplete(value) ? '' : 'Укажите город, улицу и номер дома';
+  },
+  consent: (checked) => checked ? '' : 'Нужно согласие на обработку персональных данных'
+};
+
+// Правило — имя валидатора или { rule, ...options }
+function validateField(rule, value) {
+  const { rule: name, ...options } = typeof rule === 'string' ? { rule } : rule;
+  if (!FIELD_VALIDATORS[name]) throw new Error(`Неизвестное правило проверки: ${name}`);
+  return FIELD_VALIDATORS[name](value, options);
+}
+
+// Проверка формы: rules — { поле: правило }. → { поле: текст ошибки } только для полей с ошибками
+function validateFields(values, rules) {
+  const errors = {};
+  for (const [field, rule] of Object.entries(rules)) {
+    const error = validateField(rule, values[field]);
+    if (error) errors[field] = error;
+  }
+  return errors;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    normalizePhone, formatPhone, isCompletePhone, isAddressComplete, isValidEmail, validateField, validateFields
+  };
+}
@@ -0,0 +1,88 @@
+// ============================================
+// Избранное в localStorage и ссылка, по которой его можно открыть на другом устройстве:
+// #/favorites?items=SKU-001,SKU-004
+// ============================================
+
+const WISHLIST_STORAGE_KEY = 'dv-wishlist';
+
+// Поднимать при изменении формата сохранённых данных. Старые версии отбрасываются.
+const WISHLIST_SCHEMA_VERSION = 1;
+
+// Храним только артикулы, всё остальное — из актуального каталога
+function parseStoredWishlist(raw) {
+  if (!raw) return [];
+  try {
+    const data = JSON.parse(raw);
+    if (!data || data.version !== WISHLIST_SCHEMA_VERSION || !Array.isArray(data.items)) return [];
+    return uniqueIds(data.items.filter(id => typeof id === 'string' && id));
+  } catch (e) {
+    return [];
+  }
+}
+
+function readWishlist(storage = window.localStorage) {
+  try {
+    return parseStoredWishlist(storage.getItem(WISHLIST_STORAGE_KEY));
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveWishlist(ids, storage = window.localStorage) {
+  const json = JSON.stringify({ version: WISHLIST_SCHEMA_VERSION, items: ids });
+  try {
+    // Как и с корзиной: не пишем то же самое, чтобы вкладки не пересылали друг другу storage-события
+    if (storage.getItem(WISHLIST_STORAGE_KEY) === json) return;
+    storage.setItem(WISHLIST_STORAGE_KEY, json);
+  } catch (e) {
+    console.error('Wishlist storage error:', e);
+  }
+}
+
+function uniqueIds(ids) {
+  return Array.from(new Set(ids));
+}
+
+// Добавляет в начало списка или убирает, если уже есть
+function toggleWishlist(ids, id) {
+  return ids.includes(id) ? ids.filter(x => x !== id) : [id, ...ids];
+}
+
+// Товары списка по актуальному каталогу: { products, missing } — missing: артикулы, которых больше нет
+function resolveWishlist(ids, products) {
+  const found = [];
+  const missing = [];
+  for (const id of ids) {
+    const product = products.find(p => p.id === id);
+    if (product) found.push(product);
+    else missing.push(id);
+  }
+  return { products: found, missing };
+}
+
+// Список для ссылки: query-параметр items
+function wishlistToQuery(ids) {
+  return { items: ids.join(',') };
+}
+
+function wishlistFromQuery(query = {}) {
+  return uniqueIds(String(query.items || '').split(',').map(id => id.trim()).filter(Boolean));
+}
+
+// Изменения избранного в другой вкладке. Возвращает функцию отписки.
+function subscribeToWishlist(onChange, target = window) {
+  const handler = (e) => {
+    if (e.key !== WISHLIST_STORAGE_KEY) return;
+    onChange(parseStoredWishlist(e.newValue));
+  };
+  target.addEventListener('storage', handler);
+  return () => target.removeEventListener('storage', handler);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    WISHLIST_STORAGE_KEY, WISHLIST_SCHEMA_VERSION,
+    parseStoredWishlist, readWishlist, saveWishlist, toggleWishlist, resolveWishlist,
+    wishlistToQuery, wishlistFromQuery, subscribeToWishlist
+  };
+}
@@ -0,0 +1,51 @@
+// ============================================
+// Вход в админку: один пароль на всех сотрудников (ADMIN_PASSWORD в окружении сервера).
+// После входа — случайный токен, который админка шлёт в заголовке Authorization: Bearer <токен>.
+// Сессии живут в памяти: после перезапуска сервера нужно войти заново.
+// ============================================
+
+const crypto = require('crypto');
+
+const ADMIN_SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+// Сравнение за постоянное время: по длине ответа пароль не подобрать
+function samePassword(given, expected) {
+  const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(given), hash(expected));
+}
+
+function createAdminSessions({ password, ttlMs = ADMIN_SESSION_TTL_MS, now = () => Date.now() }) {
+  if (!password) throw new Error('Не задан пароль админки');
+  const sessions = new Map();
+
+  return {
+    // → { token, expiresAt } или null, если пароль неверный
+    login(given) {
+      if (!samePassword(given || '', password)) return null;
+      const token = crypto.randomBytes(32).toString('hex');
+      const expiresAt = now() + ttlMs;
+      sessions.set(token, expiresAt);
+      return { token, expiresAt };
+    },
+    verify(token) {
+      const expiresAt = sessions.get(token);
+      if (!expiresAt) return false;
+      if (expiresAt <= now()) {
+        sessions.delete(token);
+        return false;
+      }
+      return true;
+    },
+    logout(token) {
+      sessions.delete(token);
+    }
+  };
+}
+
+// 'Bearer abc' → 'abc'
+function bearerToken(req) {
+  const match = String(req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+module.exports = { ADMIN_SESSION_TTL_MS, createAdminSessions, bearerToken };
@@ -0,0 +1,578 @@
+// ============================================
+// Сервер-ретранслятор заказов: принимает заказ с витрины и пересылает в Telegram.
+// Токен бота живёт только здесь, в переменных окружения, и в браузер не попадает.
+//
+// Запуск (Node 18+, без зависимостей):
+//   TELEGRAM_BOT_TOKEN=... TELEGRAM_CHAT_ID=... node server/order-relay.js
+//
+// Переменные окружения:
+//   TELEGRAM_BOT_TOKEN, TELEGRAM_CHAT_ID — обязательны
+//   PORT            — порт, по умолчанию 8787
+//   ALLOWED_ORIGIN  — origin витрины для CORS, по умолчанию *
+//   CERTIFICATES_FILE — JSON с подарочными сертификатами { "КОД": остаток }; остатки списываются в этот же файл
+//   ADMIN_PASSWORD  — пароль админки (/admin на витрине); без него админка отключена
+//   CATALOG_FILE    — catalog.csv витрины: по нему проверяются цены в заказах, админка сохраняет каталог в этот файл;
+//                     без него цены берутся из catalog.csv рядом с index.html, а сохранение из админки отключено
+//   ORDERS_FILE     — JSON с заказами, чтобы они пережили перезапуск; без него заказы хранятся в памяти,
+//                     и после перезапуска промокод «на первый заказ» (firstOrder) снова примут с того же телефона
+//   CUSTOMER_NOTIFY_URL — шлюз SMS/email: при смене статуса получает POST { phone, email, text };
+//                     без него покупателей не уведомляем, в заказе это видно
+//
+// POST /api/orders/<номер>/payment — результат онлайн-оплаты с сайта: сохраняется в заказе и уходит менеджеру.
+//   Принимается только с ключом оформления заказа (key из buildOrder), иначе 403.
+// Заявки «перезвоните мне» (js/leads.js) принимаются на POST /api/leads и уходят в тот же чат.
+// Админка (js/admin.js): POST /api/admin/login, /api/admin/logout, GET /api/admin/session,
+// PUT /api/admin/catalog — новый catalog.csv, GET /api/admin/orders — заказы,
+// PATCH /api/admin/orders/<номер> — статус и итоговые суммы (см. js/order-workflow.js).
+// Всё, кроме входа, — с токеном из /api/admin/login.
+// ============================================
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { generateOrderNumber, formatOrderMessage, formatPaymentMessage } = require('../js/orders.js');
+const { validateCompany } = require('../js/company.js');
+const { validateLead, formatLeadMessage, LEAD_HONEYPOT_FIELD } = require('../js/leads.js');
+const { loadCatalog } = require('../js/catalog.js');
+const { calculateDelivery } = require('../js/delivery-tariffs.js');
+const { calculateRecipientsDelivery } = require('../js/recipients.js');
+const { isCustomSetId, buildCustomSet } = require('../js/set-builder.js');
+const { findPromo, applyPromo, isFirstOrder } = require('../js/promo.js');
+const { lineTotal } = require('../js/units.js');
+const { SHOP_CONFIG } = require('../js/config.js');
+const {
+  statusChangeError, withOrderStatus, finalAmountsError, applyFinalAmounts, customerNotificationText
+} = require('../js/order-workflow.js');
+const { createAdminSessions, bearerToken } = require('./admin-sessions.js');
+
+const PORT = Number(process.env.PORT) || 8787;
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+const MAX_BODY_BYTES = 100 * 1024;
+// Каталог витрины, если CATALOG_FILE не задан: по нему сервер проверяет цены в заказах
+const DEFAULT_CATALOG_FILE = path.join(__dirname, '..', 'catalog.csv');
+// Заявок с одного адреса — не больше max за windowMs
+const LEAD_RATE_LIMIT = { max: 5, windowMs: 60 * 60 * 1000 };
+// Какие статусы онлайн-оплаты сайт может сообщить (см. PAYMENT_STATUSES в js/payments.js)
+const ONLINE_PAYMENT_STATUSES = ['pending', 'paid', 'failed', 'cancelled'];
+// Попыток входа в админку с одного адреса
+const ADMIN_LOGIN_LIMIT = { max: 10, windowMs: 15 * 60 * 1000 };
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Слишком большой запрос'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// Минимальная проверка: то, без чего менеджер не сможет обработать заказ
+function validateOrder(order) {
+  if (!order || typeof order !== 'object') return 'Пустой заказ';
+  if (!order.customer || !String(order.customer.name || '').trim()) return 'Не указано имя';
+  if (!order.customer || !String(order.customer.phone || '').trim()) return 'Не указан телефон';
+  if (!Array.isArray(order.items) || order.items.length === 0) return 'В заказе нет товаров';
+  if (!order.totals || !Number.isFinite(order.totals.total)) return 'Не указана сумма заказа';
+  // Счёт выставляется на эти реквизиты — с ошибкой в ИНН его не оплатят
+  if (order.company) {
+    const companyErrors = Object.values(validateCompany(order.company));
+    if (companyErrors.length > 0) return companyErrors[0];
+  }
+  return null;
+}
+
+function replyJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+async function sendToTelegram(text, { token, chatId }) {
+  const response = await fetch(`https://api.telegram.org/bot${token}/sendMessage`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ chat_id: chatId, text, parse_mode: 'Markdown' })
+  });
+  if (!response.ok) {
+    const details = await response.text().catch(() => '');
+    throw new Error(`Telegram ответил ${response.status}: ${details}`);
+  }
+}
+
+// Сертификат из заказа ещё действует, на нём хватает денег и он не больше суммы заказа? null — всё в порядке, иначе текст ошибки
+function checkOrderCertificate(order, certificates) {
+  if (!order.certificate) return null;
+  const balance = certificates.get(String(order.certificate.code || '').toUpperCase());
+  if (balance === undefined) return 'Сертификат не найден';
+  if (!(order.certificate.applied > 0) || order.certificate.applied > balance) {
+    return 'На сертификате недостаточно средств';
+  }
+  // Как в buildOrder: сертификатом оплачивается не больше, чем товары − скидка + доставка
+  const { items = 0, discount = 0, delivery = 0 } = order.totals;
+  if (order.certificate.applied > Math.max(0, items - discount + delivery)) return 'Сертификат больше суммы заказа';
+  return null;
+}
+
+// Тот же заказ пришёл ещё раз (например, ответ потерялся в сети)? Узнаём по ключу оформления (key из buildOrder),
+// заказы без ключа — по номеру и содержимому: совпавший номер у другого заказа — не повтор
+function isSameOrder(stored, order) {
+  if (stored.key || order.key) return stored.key === order.key;
+  const content = (o) => JSON.stringify([o.customer, o.items, o.totals]);
+  return stored.number === order.number && content(stored) === content(order);
+}
+
+// Ключ оформления совпадает с сохранённым в заказе? Сравнение за постоянное время; у заказа без ключа — никогда
+function sameOrderKey(given, expected) {
+  if (!expected || typeof given !== 'string' || !given) return false;
+  const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(given), hash(expected));
+}
+
+// Позиции заказа по ценам каталога: цену, единицу, вес и категорию берём у товара, с витрины — только артикул
+// и количество. Свой сет пересобираем по его составу (set из buildOrder). → { items } или { error }
+function catalogItems(order, products, setBuilder) {
+  const items = [];
+  for (const item of order.items) {
+    if (!item || !Number.isInteger(item.qty) || item.qty <= 0) return { error: 'Некорректное количество товара' };
+    let product = null;
+    if (isCustomSetId(item.id)) {
+      const built = item.set ? buildCustomSet(item.set, products, setBuilder) : null;
+      if (built && built.item && built.problems.length === 0 && built.item.id === item.id) product = built.item;
+    } else {
+      product = products.find(p => p.id === item.id) || null;
+    }
+    if (!product) return { error: `${item.name || item.id}: товара больше нет в каталоге, обновите корзину` };
+    const line = { id: item.id, category: product.category, price: product.price, unit: product.unit, weight: product.weight, qty: item.qty };
+    if (item.unitPrice !== line.price || item.sum !== lineTotal(line)) return { error: 'Цены изменились, обновите корзину' };
+    items.push(line);
+  }
+  return { items };
+}
+
+// Доставка по тарифам зон (js/delivery-tariffs.js) от суммы товаров после скидки, как в корзине;
+// нескольким получателям — за каждого по сумме его подарков (js/recipients.js). → стоимость или null, если зоны нет
+function expectedDelivery(order, items, itemsTotal, zones) {
+  try {
+    if (!order.recipients) return calculateDelivery(zones, order.delivery.zone, itemsTotal).cost;
+    const recipients = order.recipients.map((recipient, i) => ({
+      id: i, items: Object.fromEntries((recipient.items || []).map(item => [item.id, item.qty]))
+    }));
+    return calculateRecipientsDelivery(zones, order.delivery.zone, items, recipients).cost;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Суммам с витрины не верим: цены берём из каталога, скидку по промокоду пересчитываем теми же правилами
+// (js/promo.js), доставку — по тарифам зон; сертификат должен совпадать с проверенным в checkOrderCertificate.
+// Итог — по формуле из buildOrder. null — всё сходится, иначе текст ошибки
+function checkOrderTotals(order, {
+  promos, products, zones = SHOP_CONFIG.delivery.zones, setBuilder = SHOP_CONFIG.setBuilder
+}, now = new Date()) {
+  if (!order.delivery || !order.delivery.zone) return 'Не указан способ доставки';
+  const { items, error } = catalogItems(order, products, setBuilder);
+  if (error) return error;
+  const { discount = 0, delivery = 0, certificate = 0 } = order.totals;
+  const itemsTotal = items.reduce((sum, item) => sum + lineTotal(item), 0);
+  if (itemsTotal !== order.totals.items) return 'Сумма товаров не сходится';
+  if (order.promo) {
+    const result = applyPromo(findPromo(promos, order.promo.code), items, now);
+    if (!result.ok) return result.error;
+    if (result.discount !== discount || order.promo.discount !== discount) return 'Скидка по промокоду изменилась, обновите корзину';
+  } else if (discount !== 0) {
+    return 'Скидка без промокода';
+  }
+  const deliveryCost = expectedDelivery(order, items, itemsTotal - discount, zones);
+  if (deliveryCost === null) return 'Неизвестная зона доставки';
+  if (deliveryCost !== delivery) return 'Стоимость доставки не сходится';
+  if (certificate !== (order.certificate ? order.certificate.applied : 0)) return 'Сумма сертификата не сходится';
+  if (itemsTotal - discount + delivery - certificate !== order.totals.total) return 'Итог заказа не сходится';
+  return null;
+}
+
+// Скользящее окно: limiter(key) → true, если ещё можно, и запоминает попытку
+function createRateLimiter({ max, windowMs }, now = () => Date.now()) {
+  const hits = new Map();
+  return (key) => {
+    const time = now();
+    const recent = (hits.get(key) || []).filter(at => time - at < windowMs);
+    if (recent.length >= max) {
+      hits.set(key, recent);
+      return false;
+    }
+    hits.set(key, [...recent, time]);
+    return true;
+  };
+}
+
+// Уведомление покупателю через внешний шлюз SMS/email. → true, если шлюз принял сообщение
+async function sendCustomerNotification(text, order, { url }) {
+  if (!url) return false;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ phone: order.customer.phone, email: order.customer.email || '', text })
+  });
+  if (!response.ok) throw new Error(`Шлюз уведомлений ответил ${response.status}`);
+  return true;
+}
+
+function loadCertificates(file) {
+  if (!file || !fs.existsSync(file)) return new Map();
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return new Map(Object.entries(data).map(([code, balance]) => [code.toUpperCase(), balance]));
+}
+
+function saveCertificates(file, certificates) {
+  fs.writeFileSync(file, JSON.stringify(Object.fromEntries(certificates), null, 2) + '\n');
+}
+
+// Товары каталога для проверки цен. Строки с ошибками пропускаются, как и на витрине: заказать их всё равно нельзя
+function loadProducts(file) {
+  const { products, errors } = loadCatalog(fs.readFileSync(file, 'utf8'));
+  if (errors.length > 0) console.warn(`${file}: строк с ошибками — ${errors.length}, эти товары не принимаются`);
+  return products;
+}
+
+function loadOrders(file) {
+  if (!file || !fs.existsSync(file)) return new Map();
+  return new Map(JSON.parse(fs.readFileSync(file, 'utf8')).map(order => [order.number, order]));
+}
+
+function saveOrders(file, orders) {
+  fs.writeFileSync(file, JSON.stringify([...orders.values()], null, 2) + '\n');
+}
+
+// orders — хранилище заказов: Map номер → заказ со статусом, историей статусов (history) и уведомлениями (notifications).
+// По умолчанию в памяти, то есть до перезапуска сервера; onOrdersChange вызывается после каждого изменения.
+// notify(text, order) — уведомление покупателю о статусе (sendCustomerNotification), → true, если отправлено.
+// promos — действующие промокоды (SHOP_CONFIG.promo.codes): по ним перепроверяется скидка.
+// certificates — Map КОД → остаток; onCertificatesChange вызывается после каждого списания и возврата.
+// leads — id уже переданных заявок, leadLimit — лимит заявок с одного адреса (см. LEAD_RATE_LIMIT).
+// admin — сессии админки (createAdminSessions), null — админка отключена; catalogFile — куда сохранять каталог.
+// products — товары каталога, по ним пересчитываются цены; по умолчанию из catalogFile, а без него — из catalog.csv витрины.
+// После сохранения каталога из админки цены берутся уже из нового.
+function createOrderRelay({
+  token, chatId, send = sendToTelegram, orders = new Map(), onOrdersChange = () => {},
+  notify = async () => false,
+  promos = SHOP_CONFIG.promo.codes, certificates = new Map(), onCertificatesChange = () => {},
+  leads = new Set(), leadLimit = LEAD_RATE_LIMIT,
+  admin = null, catalogFile = null, adminLoginLimit = ADMIN_LOGIN_LIMIT,
+  products = loadProducts(catalogFile || DEFAULT_CATALOG_FILE)
+} = {}) {
+  const allowLead = createRateLimiter(leadLimit);
+  const allowAdminLogin = createRateLimiter(adminLoginLimit);
+  // Заказы, которые сейчас передаются менеджеру: номер → { order, done }, done — будущий ответ
+  const submitting = new Map();
+
+  // Сертификат, Telegram и сохранение заказа → { status, body } для ответа
+  async function placeOrder(order) {
+    const certificateError = checkOrderCertificate(order, certificates);
+    if (certificateError) return { status: 422, body: { error: certificateError } };
+
+    // Списываем сертификат до отправки, пока никто другой не успел: иначе два одновременных заказа
+    // пройдут проверку остатка и потратят его дважды. Если менеджеру передать не удалось — возвращаем
+    const charge = order.certificate ? { code: order.certificate.code.toUpperCase(), amount: order.certificate.applied } : null;
+    if (charge) {
+      certificates.set(charge.code, certificates.get(charge.code) - charge.amount);
+      onCertificatesChange(certificates);
+    }
+    try {
+      await send(formatOrderMessage(order), { token, chatId });
+    } catch (error) {
+      console.error('Telegram error:', error.message);
+      if (charge) {
+        certificates.set(charge.code, certificates.get(charge.code) + charge.amount);
+        onCertificatesChange(certificates);
+      }
+      return { status: 502, body: { error: 'Не удалось передать заказ менеджеру' } };
+    }
+    const createdAt = order.createdAt || new Date().toISOString();
+    orders.set(order.number, {
+      ...order, createdAt, status: 'new', history: [{ status: 'new', at: createdAt }], notifications: []
+    });
+    onOrdersChange(orders);
+    return { status: 200, body: { ok: true, number: order.number } };
+  }
+
+  async function handleRequest(req, res) {
+    const reply = (status, body) => replyJson(res, status, body);
+
+    if (req.method === 'OPTIONS') return reply(204);
+
+    const statusMatch = req.url.match(/^\/api\/orders\/([^/?]+)$/);
+    if (statusMatch && req.method === 'GET') {
+      let number;
+      try {
+        number = decodeURIComponent(statusMatch[1]);
+      } catch (e) {
+        return reply(400, { error: 'Некорректный номер заказа' });
+      }
+      const stored = orders.get(number);
+      if (!stored) return reply(404, { error: 'Заказ не найден' });
+      return reply(200, { number: stored.number, status: stored.status });
+    }
+
+    const paymentMatch = req.url.match(/^\/api\/orders\/([^/?]+)\/payment$/);
+    if (paymentMatch) {
+      if (req.method !== 'POST') return reply(405, { error: 'Только POST' });
+      let number;
+      let payment;
+      try {
+        number = decodeURIComponent(paymentMatch[1]);
+        payment = JSON.parse(await readBody(req));
+      } catch (error) {
+        return reply(error.status || 400, { error: error.status ? error.message : 'Некорректный запрос' });
+      }
+      const stored = orders.get(number);
+      if (!stored) return reply(404, { error: 'Заказ не найден' });
+      // Номер заказа легко угадать, а ключ оформления знает только браузер, из которого заказ оформили
+      if (!sameOrderKey(payment && payment.key, stored.key)) return reply(403, { error: 'Нет доступа к заказу' });
+      if (!stored.payment || stored.payment.method !== 'online') return reply(422, { error: 'Заказ оплачивается не онлайн' });
+      if (!payment || !ONLINE_PAYMENT_STATUSES.includes(payment.status)) return reply(422, { error: 'Неизвестный статус оплаты' });
+      if (payment.status === stored.payment.status && (payment.id || null) === (stored.payment.id || null)) {
+        return reply(200, { ok: true });
+      }
+      // Статус сообщает браузер покупателя, поэтому это уведомление, а не подтверждение оплаты:
+      // менеджер сверяет его с платёжным сервисом
+      const updated = {
+        ...stored,
+        payment: { ...stored.payment, status: payment.status, id: payment.id ? String(payment.id) : null, updatedAt: new Date().toISOString() }
+      };
+      orders.set(number, updated);
+      onOrdersChange(orders);
+      try {
+        await send(formatPaymentMessage(updated), { token, chatId });
+      } catch (error) {
+        console.error('Telegram error:', error.message);
+      }
+      return reply(200, { ok: true });
+    }
+
+    const certificateMatch = req.url.match(/^\/api\/certificates\/([^/?]+)$/);
+    if (certificateMatch && req.method === 'GET') {
+      let code;
+      try {
+        code = decodeURIComponent(certificateMatch[1]).toUpperCase();
+      } catch (e) {
+        return reply(400, { error: 'Некорректный код сертификата' });
+      }
+      if (!certificates.has(code)) return reply(404, { error: 'Сертификат не найден' });
+      return reply(200, { code, balance: certificates.get(code) });
+    }
+
+    if (req.url === '/api/leads') {
+      if (req.method !== 'POST') return reply(405, { error: 'Только POST' });
+      let lead;
+      try {
+        lead = JSON.parse(await readBody(req));
+      } catch (error) {
+        return reply(error.status || 400, { error: error.status ? error.message : 'Некорректный JSON' });
+      }
+      const invalid = validateLead(lead);
+      if (invalid) return reply(422, { error: invalid });
+      // Бот заполнил ловушку или это повтор уже переданной заявки — отвечаем как обычно, менеджеру не шлём
+      if (lead[LEAD_HONEYPOT_FIELD] || (lead.id && leads.has(lead.id))) return reply(200, { ok: true });
+      // За прокси здесь адрес прокси: лимит тогда общий, и его стоит поднять
+      if (!allowLead(req.socket.remoteAddress)) return reply(429, { error: 'Слишком много заявок, попробуйте позже' });
+      try {
+        await send(formatLeadMessage(lead), { token, chatId });
+        if (lead.id) leads.add(lead.id);
+        return reply(200, { ok: true });
+      } catch (error) {
+        console.error('Telegram error:', error.message);
+        return reply(502, { error: 'Не удалось передать заявку менеджеру' });
+      }
+    }
+
+    if (req.url.startsWith('/api/admin/')) {
+      if (!admin) return reply(503, { error: 'Админка не настроена: задайте ADMIN_PASSWORD' });
+
+      if (req.url === '/api/admin/login') {
+        if (req.method !== 'POST') return reply(405, { error: 'Только POST' });
+        if (!allowAdminLogin(req.socket.remoteAddress)) return reply(429, { error: 'Слишком много попыток входа, попробуйте позже' });
+        let body;
+        try {
+          body = JSON.parse(await readBody(req));
+        } catch (error) {
+          return reply(error.status || 400, { error: error.status ? error.message : 'Некорректный JSON' });
+        }
+        const session = admin.login(body && body.password);
+        if (!session) return reply(401, { error: 'Неверный пароль' });
+        return reply(200, session);
+      }
+
+      const adminToken = bearerToken(req);
+      if (!adminToken || !admin.verify(adminToken)) return reply(401, { error: 'Нужно войти в админку' });
+
+      if (req.url === '/api/admin/session') return reply(200, { ok: true });
+      if (req.url === '/api/admin/logout') {
+        if (req.method !== 'POST') return reply(405, { error: 'Только POST' });
+        admin.logout(adminToken);
+        return reply(200, { ok: true });
+      }
+      if (req.url === '/api/admin/catalog') {
+        if (req.method !== 'PUT') return reply(405, { error: 'Только PUT' });
+        if (!catalogFile) return reply(503, { error: 'Сохранение каталога не настроено: задайте CATALOG_FILE' });
+        let text;
+        try {
+          text = await readBody(req);
+        } catch (error) {
+          return reply(error.status || 400, { error: error.message });
+        }
+        // Тот же разбор, что на витрине: файл с ошибками не сохраняем, иначе пропадут товары
+        const catalog = loadCatalog(text);
+        if (catalog.errors.length > 0) return reply(422, { error: 'Каталог с ошибками не сохранён', errors: catalog.errors });
+        fs.writeFileSync(catalogFile, text);
+        products = catalog.products;
+        return reply(200, { ok: true, products: products.length });
+      }
+      if (req.url === '/api/admin/orders') {
+        if (req.method !== 'GET') return reply(405, { error: 'Только GET' });
+        const list = [...orders.values()].sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+        return reply(200, { orders: list });
+      }
+      const adminOrderMatch = req.url.match(/^\/api\/admin\/orders\/([^/?]+)$/);
+      if (adminOrderMatch) {
+        if (req.method !== 'PATCH') return reply(405, { error: 'Только PATCH' });
+        let number;
+        let changes;
+        try {
+          number = decodeURIComponent(adminOrderMatch[1]);
+          changes = JSON.parse(await readBody(req));
+        } catch (error) {
+          return reply(error.status || 400, { error: error.status ? error.message : 'Некорректный запрос' });
+        }
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+          return reply(400, { error: 'Ожидается объект { finals, status }' });
+        }
+        let order = orders.get(number);
+        if (!order) return reply(404, { error: 'Заказ не найден' });
+        // Сначала итоговые суммы: так заказ можно взвесить и сразу перевести дальше
+        if (changes.finals) {
+          const invalid = finalAmountsError(order, changes.finals);
+          if (invalid) return reply(422, { error: invalid });
+          order = applyFinalAmounts(order, changes.finals);
+        }
+        if (changes.status) {
+          const invalid = statusChangeError(order, changes.status);
+          if (invalid) return reply(422, { error: invalid });
+          order = withOrderStatus(order, changes.status);
+          const text = customerNotificationText(order, changes.status);
+          if (text) {
+            const notification = { status: changes.status, at: new Date().toISOString(), sent: false };
+            try {
+              notification.sent = await notify(text, order);
+            } catch (error) {
+              // Статус уже сменился — о неудаче оператор узнает из карточки заказа
+              console.error('Notify error:', error.message);
+              notification.error = error.message;
+            }
+            order = { ...order, notifications: [...(order.notifications || []), notification] };
+          }
+        }
+        orders.set(number, order);
+        onOrdersChange(orders);
+        return reply(200, { order });
+      }
+      return reply(404, { error: 'Не найдено' });
+    }
+
+    if (req.url !== '/api/orders') return reply(404, { error: 'Не найдено' });
+    if (req.method !== 'POST') return reply(405, { error: 'Только POST' });
+
+    let order;
+    try {
+      order = JSON.parse(await readBody(req));
+    } catch (error) {
+      return reply(error.status || 400, { error: error.status ? error.message : 'Некорректный JSON' });
+    }
+
+    const invalid = validateOrder(order);
+    if (invalid) return reply(422, { error: invalid });
+    const inFlight = [...submitting.values()].find(entry => isSameOrder(entry.order, order));
+    if (inFlight) {
+      const { status, body } = await inFlight.done;
+      return reply(status, body);
+    }
+    const duplicate = [...orders.values()].find(stored => isSameOrder(stored, order));
+    // Повтор уже принятого заказа — второй раз менеджеру не шлём
+    if (duplicate) return reply(200, { ok: true, number: duplicate.number });
+    const totalsError = checkOrderTotals(order, { promos, products });
+    if (totalsError) return reply(422, { error: totalsError });
+    const promo = order.promo ? findPromo(promos, order.promo.code) : null;
+    if (promo && promo.firstOrder && !isFirstOrder(order.customer.phone, [...orders.values(), ...[...submitting.values()].map(entry => entry.order)])) {
+      return reply(422, { error: 'Промокод действует только на первый заказ' });
+    }
+
+    // Номер придумывает браузер, и у двух заказов за день он может совпасть — тогда выдаём свой.
+    // Витрина показывает покупателю номер из ответа
+    let number = order.number;
+    while (!number || orders.has(number) || submitting.has(number)) number = generateOrderNumber();
+    const done = placeOrder({ ...order, number });
+    submitting.set(number, { order, done });
+    try {
+      const { status, body } = await done;
+      return reply(status, body);
+    } finally {
+      submitting.delete(number);
+    }
+  }
+
+  return http.createServer((req, res) => {
+    // Непредвиденная ошибка в обработчике — 500, а не оборванное соединение и упавший процесс
+    handleRequest(req, res).catch(error => {
+      console.error('Relay error:', error);
+      if (res.headersSent) res.end();
+      else replyJson(res, 500, { error: 'Внутренняя ошибка сервера' });
+    });
+  });
+}
+
+if (require.main === module) {
+  const token = process.env.TELEGRAM_BOT_TOKEN;
+  const chatId = process.env.TELEGRAM_CHAT_ID;
+  if (!token || !chatId) {
+    console.error('Нужны переменные окружения TELEGRAM_BOT_TOKEN и TELEGRAM_CHAT_ID');
+    process.exit(1);
+  }
+  const certificatesFile = process.env.CERTIFICATES_FILE;
+  const adminPassword = process.env.ADMIN_PASSWORD;
+  const ordersFile = process.env.ORDERS_FILE;
+  const notifyUrl = process.env.CUSTOMER_NOTIFY_URL;
+  if (!ordersFile && SHOP_CONFIG.promo.codes.some(promo => promo.firstOrder)) {
+    console.warn('ORDERS_FILE не задан: после перезапуска прошлые заказы забудутся, промокоды «на первый заказ» можно будет применить повторно');
+  }
+  createOrderRelay({
+    token,
+    chatId,
+    orders: loadOrders(ordersFile),
+    onOrdersChange: ordersFile ? (orders) => saveOrders(ordersFile, orders) : undefined,
+    notify: (text, order) => sendCustomerNotification(text, order, { url: notifyUrl }),
+    admin: adminPassword ? createAdminSessions({ password: adminPassword }) : null,
+    catalogFile: process.env.CATALOG_FILE || null,
+    certificates: loadCertificates(certificatesFile),
+    onCertificatesChange: certificatesFile ? (certificates) => saveCertificates(certificatesFile, certificates) : undefined
+  }).listen(PORT, () => {
+    console.log(`Order relay: http://localhost:${PORT}/api/orders`);
+  });
+}
+
+module.exports = {
+  createOrderRelay, validateOrder, checkOrderTotals, checkOrderCertificate, createRateLimiter,
+  loadCertificates, loadOrders, sendToTelegram, sendCustomerNotification
+};
@@ -0,0 +1,71 @@
+// Заказы от юрлиц и ИП: проверка ИНН и КПП, реквизиты продавца и когда предлагаем оплату по счёту.
+// Запуск: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidInn, isValidKpp, validateCompany, isSellerComplete } = require('../js/company.js');
+const { enabledPaymentMethods, availablePaymentMethods } = require('../js/payments.js');
+const { SHOP_CONFIG } = require('../js/config.js');
+
+const seller = {
+  name: 'ООО «Дальневосточные деликатесы»', inn: '7707083893', kpp: '773601001', address: 'Москва, ул. Вавилова, д. 19',
+  bank: 'ПАО Сбербанк', bik: '044525225', account: '40702810900000000001', corrAccount: '30101810400000000225'
+};
+const courier = { id: 'moscow', method: 'courier' };
+const transport = { id: 'regions', method: 'transport' };
+
+test('ИНН: 10 цифр у организации, 12 у ИП, контрольные цифры сходятся', () => {
+  assert.equal(isValidInn('7707083893'), true);
+  assert.equal(isValidInn(' 7707083893 '), true);
+  assert.equal(isValidInn('500100732259'), true);
+  // Длина
+  assert.equal(isValidInn('770708389'), false);
+  assert.equal(isValidInn('77070838930'), false);
+  assert.equal(isValidInn(''), false);
+  assert.equal(isValidInn(null), false);
+  assert.equal(isValidInn('77O7083893'), false);
+  // Контрольная цифра: у организации последняя, у ИП — обе последние
+  assert.equal(isValidInn('7707083894'), false);
+  assert.equal(isValidInn('500100732250'), false);
+  assert.equal(isValidInn('500100732209'), false);
+});
+
+test('КПП: 4 цифры, 2 цифры или заглавные латинские буквы, 3 цифры', () => {
+  assert.equal(isValidKpp('773601001'), true);
+  assert.equal(isValidKpp('7736AB001'), true);
+  assert.equal(isValidKpp('77360100'), false);
+  assert.equal(isValidKpp('7736010011'), false);
+  assert.equal(isValidKpp('7736АБ001'), false);
+  assert.equal(isValidKpp(''), false);
+});
+
+test('реквизиты покупателя: ИП без КПП, организация — только с КПП', () => {
+  const company = { name: 'ООО «Ромашка»', inn: '7707083893', kpp: '773601001', address: 'Москва' };
+  assert.deepEqual(validateCompany(company), {});
+  assert.deepEqual(Object.keys(validateCompany({ ...company, kpp: '' })), ['kpp']);
+  assert.deepEqual(Object.keys(validateCompany({ ...company, inn: '7707083894' })), ['inn']);
+  assert.deepEqual(validateCompany({ ...company, inn: '500100732259', kpp: '' }), {});
+});
+
+test('реквизиты продавца: без банка, БИК и счетов счёт не выставляем', () => {
+  assert.equal(isSellerComplete(seller), true);
+  assert.equal(isSellerComplete(null), false);
+  assert.equal(isSellerComplete({ ...seller, inn: '7707083894' }), false);
+  assert.equal(isSellerComplete({ ...seller, bank: ' ' }), false);
+  assert.equal(isSellerComplete({ ...seller, bik: '04452522' }), false);
+  assert.equal(isSellerComplete({ ...seller, corrAccount: '' }), false);
+  // В конфиге витрины реквизиты пока пустые
+  assert.equal(isSellerComplete(SHOP_CONFIG.company.seller), false);
+});
+
+test('оплата по счёту: только организации и только при заполненных реквизитах продавца', () => {
+  const withInvoice = enabledPaymentMethods(SHOP_CONFIG.payments.methods, { seller });
+  assert.deepEqual(availablePaymentMethods(courier, withInvoice, { company: true }), ['invoice']);
+  // По счёту платят заранее — подходит и для транспортной компании, и для весовых товаров
+  assert.deepEqual(availablePaymentMethods(transport, withInvoice, { company: true, estimated: true }), ['invoice']);
+  assert.deepEqual(availablePaymentMethods(courier, withInvoice), ['cash', 'card']);
+
+  // Реквизиты не заполнены — организации оплатить нечем
+  const withoutInvoice = enabledPaymentMethods(SHOP_CONFIG.payments.methods, { seller: SHOP_CONFIG.company.seller });
+  assert.equal(withoutInvoice.includes('invoice'), false);
+  assert.deepEqual(availablePaymentMethods(courier, withoutInvoice, { company: true }), []);
+});
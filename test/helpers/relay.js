@@ -0,0 +1,45 @@
+// Общее для тестов сервера-ретранслятора: запуск на свободном порту и заказ в том виде, в каком его собирает buildOrder.
+const { createHttpTransport } = require('../../js/orders.js');
+const { createOrderRelay } = require('../../server/order-relay.js');
+
+// Сет SKU-008 из catalog.csv за 9 990 ₽ с доставкой по Москве за 500 ₽; promo — { code, title, discount },
+// certificate — { code, applied }
+function makeOrder({ number = 'DV-261019-0001', key, promo = null, certificate = null } = {}) {
+  const discount = promo ? promo.discount : 0;
+  const applied = certificate ? certificate.applied : 0;
+  return {
+    number,
+    ...(key ? { key } : {}),
+    customer: { name: 'Иван', phone: '+7 999 123-45-67', email: '' },
+    delivery: { zone: 'moscow', zoneName: 'Москва', method: 'courier', address: 'Москва, Арбат, д. 1' },
+    items: [{
+      id: 'SKU-008', name: 'Сет «Вечер вдвоём» — 2 персоны', category: 'sety', qty: 1, unit: 'set',
+      unitPrice: 9990, weight: null, price: 9990, sum: 9990, estimated: false
+    }],
+    promo,
+    certificate,
+    totals: { items: 9990, discount, delivery: 500, certificate: applied, total: 9990 - discount + 500 - applied }
+  };
+}
+
+// Ретранслятор с options (send — вместо Telegram), закрывается после теста t.
+// → { base, request(path, init), postOrder(order), transport } — transport — createHttpTransport витрины
+async function startRelay(t, options = {}) {
+  const server = createOrderRelay({ token: 'bot-token', chatId: 'chat', send: async () => {}, ...options });
+  await new Promise(resolve => server.listen(0, resolve));
+  t.after(() => server.close());
+  const base = `http://localhost:${server.address().port}/api`;
+  const request = (path, init) => fetch(`${base}${path}`, init);
+  return {
+    base,
+    request,
+    postOrder: (order) => request('/orders', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(order)
+    }),
+    transport: createHttpTransport({ endpoint: `${base}/orders`, certificatesEndpoint: `${base}/certificates` })
+  };
+}
+
+module.exports = { makeOrder, startRelay };
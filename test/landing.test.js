@@ -0,0 +1,45 @@
+// Лендинг (index.jsx): ES-модуль берёт js/*.js через js/landing.mjs — как на странице, где скрипты подключены тегами.
+// Запуск: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { startRelay } = require('./helpers/relay.js');
+
+const root = path.join(__dirname, '..');
+// Те же теги <script>, что перечислены в js/landing.mjs, в том же порядке
+const LANDING_SCRIPTS = ['js/config.js', 'js/validation.js', 'js/orders.js', 'js/leads.js'];
+
+// Имена из import { ... } from './js/landing.mjs' в index.jsx
+function landingImports() {
+  const source = fs.readFileSync(path.join(root, 'index.jsx'), 'utf8');
+  const match = source.match(/import\s*\{([^}]+)\}\s*from\s*'\.\/js\/landing\.mjs'/);
+  assert.ok(match, 'index.jsx импортирует js/*.js через js/landing.mjs');
+  assert.doesNotMatch(source, /from\s*'\.\/js\/(?!landing\.mjs')/, 'обычные скрипты напрямую не импортируются');
+  return match[1].split(',').map(name => name.trim()).filter(Boolean);
+}
+
+test('без подключённых скриптов лендинг сразу говорит, каких не хватает', async () => {
+  await assert.rejects(import('../js/landing.mjs'), /подключите js\/config\.js/);
+});
+
+test('всё, что импортирует index.jsx, есть в js/landing.mjs, и заявка уходит на ретранслятор', async (t) => {
+  // Как браузер: обычные скрипты в общей глобальной области, без module и require
+  for (const file of LANDING_SCRIPTS) vm.runInThisContext(fs.readFileSync(path.join(root, file), 'utf8'), { filename: file });
+  const landing = await import(`../js/landing.mjs?scripts=${Date.now()}`);
+  for (const name of landingImports()) assert.notEqual(landing[name], undefined, name);
+
+  const leads = [];
+  const { base } = await startRelay(t, { send: async (text) => { leads.push(text); } });
+  const config = { ...landing.SHOP_CONFIG.leads, endpoint: `${base}/leads` };
+  const values = new Map();
+  const storage = { getItem: (key) => values.get(key) || null, setItem: (key, value) => values.set(key, value) };
+  const result = await landing.sendLead(
+    { name: 'Иван', phone: landing.formatPhone('89991234567'), source: 'landing', [landing.LEAD_HONEYPOT_FIELD]: '' },
+    landing.createLeadTransport(config), config, { storage }
+  );
+  assert.equal(result.status, 'sent');
+  assert.equal(leads.length, 1);
+  assert.match(leads[0], /Лендинг/);
+});
@@ -0,0 +1,248 @@
+// Сервер-ретранслятор заказов: проверка сумм, списание сертификатов и повторная отправка заказа.
+// Запуск: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { checkOrderTotals, checkOrderCertificate } = require('../server/order-relay.js');
+const { loadCatalog } = require('../js/catalog.js');
+const { buildCustomSet } = require('../js/set-builder.js');
+const { isFirstOrder } = require('../js/promo.js');
+const { SHOP_CONFIG } = require('../js/config.js');
+const { createAdminSessions } = require('../server/admin-sessions.js');
+const { makeOrder, startRelay } = require('./helpers/relay.js');
+
+const PROMOS = [
+  { code: 'SETS10', title: 'Сеты −10%', type: 'percent', value: 10, categories: ['sety'] },
+  { code: 'MINUS500', title: '−500 ₽', type: 'fixed', value: 500, minTotal: 5000 },
+  { code: 'FIRST500', title: '−500 ₽ на первый заказ', type: 'fixed', value: 500, firstOrder: true }
+];
+
+// Тот же каталог, по которому ретранслятор проверяет цены по умолчанию
+const { products } = loadCatalog(fs.readFileSync(path.join(__dirname, '..', 'catalog.csv'), 'utf8'));
+const check = (order) => checkOrderTotals(order, { promos: PROMOS, products });
+
+// Ретранслятор с тестовыми промокодами; → post(order)
+async function startOrders(t, options) {
+  const { postOrder } = await startRelay(t, { promos: PROMOS, ...options });
+  return postOrder;
+}
+
+test('скидку по промокоду сервер считает сам', () => {
+  assert.equal(check(makeOrder()), null);
+  assert.equal(check(makeOrder({ promo: { code: 'SETS10', title: 'Сеты −10%', discount: 999 } })), null);
+  assert.equal(check(makeOrder({ promo: { code: 'sets10', title: '', discount: 999 } })), null);
+  assert.match(check(makeOrder({ promo: { code: 'SETS10', title: '', discount: 5000 } })), /Скидка по промокоду/);
+  assert.equal(check(makeOrder({ promo: { code: 'FREE', title: '', discount: 999 } })), 'Такого промокода нет');
+});
+
+test('суммы заказа должны сходиться', () => {
+  const noPromo = makeOrder();
+  assert.equal(check({ ...noPromo, totals: { ...noPromo.totals, discount: 1000, total: 9490 } }), 'Скидка без промокода');
+  assert.equal(check({ ...noPromo, totals: { ...noPromo.totals, items: 100, total: 600 } }), 'Сумма товаров не сходится');
+  assert.equal(check({ ...noPromo, totals: { ...noPromo.totals, total: 1 } }), 'Итог заказа не сходится');
+  assert.equal(check({ ...noPromo, totals: { ...noPromo.totals, certificate: 500, total: 9990 } }), 'Сумма сертификата не сходится');
+});
+
+test('цены и доставку сервер берёт из каталога и тарифов зон, а не из заказа', () => {
+  const order = makeOrder();
+  const cheap = { ...order.items[0], unitPrice: 99, price: 99, sum: 99 };
+  assert.equal(check({ ...order, items: [cheap], totals: { ...order.totals, items: 99, total: 599 } }), 'Цены изменились, обновите корзину');
+  assert.equal(check({ ...order, items: [{ ...order.items[0], sum: 1 }] }), 'Цены изменились, обновите корзину');
+  assert.equal(check({ ...order, items: [{ ...order.items[0], id: 'SKU-999' }] }), 'Сет «Вечер вдвоём» — 2 персоны: товара больше нет в каталоге, обновите корзину');
+  assert.equal(check({ ...order, totals: { ...order.totals, delivery: 0, total: 9990 } }), 'Стоимость доставки не сходится');
+  assert.equal(check({ ...order, delivery: { ...order.delivery, zone: 'moon' } }), 'Неизвестная зона доставки');
+  // От 10 000 ₽ доставка по Москве бесплатная
+  const two = { ...order.items[0], qty: 2, sum: 19980 };
+  assert.equal(check({ ...order, items: [two], totals: { ...order.totals, items: 19980, delivery: 0, total: 19980 } }), null);
+  assert.equal(check({ ...order, items: [two], totals: { ...order.totals, items: 19980, total: 20480 } }), 'Стоимость доставки не сходится');
+});
+
+test('свой сет сервер пересобирает по составу из каталога', () => {
+  const { item } = buildCustomSet({ components: [{ id: 'SKU-004', qty: 1 }, { id: 'SKU-006', qty: 2 }], packaging: 'gift' }, products, SHOP_CONFIG.setBuilder);
+  const line = {
+    id: item.id, name: item.name, category: item.category, qty: 1, unit: 'set',
+    unitPrice: item.price, weight: null, price: item.price, sum: item.price, estimated: false, set: item.set
+  };
+  const order = { ...makeOrder(), items: [line], totals: { items: item.price, discount: 0, delivery: 500, certificate: 0, total: item.price + 500 } };
+  assert.equal(check(order), null);
+  const cheaper = { ...line, unitPrice: item.price - 490, sum: item.price - 490, set: { ...item.set, packaging: 'thermo' } };
+  assert.equal(check({ ...order, items: [cheaper], totals: { ...order.totals, items: cheaper.sum, total: cheaper.sum + 500 } }),
+    'Свой сет: товара больше нет в каталоге, обновите корзину');
+  assert.equal(check({ ...order, items: [{ ...line, set: undefined }] }), 'Свой сет: товара больше нет в каталоге, обновите корзину');
+});
+
+test('заказ с подделанной скидкой, ценой или доставкой не принимается', async (t) => {
+  const messages = [];
+  const post = await startOrders(t, { send: async (text) => { messages.push(text); } });
+  const response = await post(makeOrder({ promo: { code: 'MINUS500', title: '', discount: 9000 } }));
+  assert.equal(response.status, 422);
+
+  const order = makeOrder();
+  const cheap = { ...order.items[0], unitPrice: 990, price: 990, sum: 990 };
+  const price = await post({ ...order, items: [cheap], totals: { ...order.totals, items: 990, total: 1490 } });
+  assert.equal(price.status, 422);
+  assert.equal((await price.json()).error, 'Цены изменились, обновите корзину');
+
+  const delivery = await post({ ...order, totals: { ...order.totals, delivery: 0, total: 9990 } });
+  assert.equal(delivery.status, 422);
+  assert.equal((await delivery.json()).error, 'Стоимость доставки не сходится');
+  assert.equal(messages.length, 0);
+});
+
+test('одновременные заказы не тратят сертификат дважды', async (t) => {
+  const certificates = new Map([['GIFT-1000', 1000]]);
+  let release;
+  const sending = new Promise(resolve => { release = resolve; });
+  const post = await startOrders(t, { certificates, send: () => sending });
+
+  const first = post(makeOrder({ number: 'DV-261019-0001', certificate: { code: 'gift-1000', applied: 1000 } }));
+  const second = post(makeOrder({ number: 'DV-261019-0002', certificate: { code: 'GIFT-1000', applied: 1000 } }));
+  const rejected = await Promise.race([first, second]);
+  assert.equal(rejected.status, 422);
+  assert.equal(certificates.get('GIFT-1000'), 0);
+  release();
+  const statuses = (await Promise.all([first, second])).map(response => response.status).sort();
+  assert.deepEqual(statuses, [200, 422]);
+  assert.equal(certificates.get('GIFT-1000'), 0);
+});
+
+test('сертификатом нельзя оплатить больше, чем товары − скидка + доставка', async (t) => {
+  const certificates = new Map([['GIFT-20000', 20000]]);
+  assert.equal(checkOrderCertificate(makeOrder({ certificate: { code: 'GIFT-20000', applied: 10490 } }), certificates), null);
+  assert.equal(checkOrderCertificate(makeOrder({ certificate: { code: 'GIFT-20000', applied: 10491 } }), certificates), 'Сертификат больше суммы заказа');
+  const promo = { code: 'MINUS500', title: '', discount: 500 };
+  assert.equal(checkOrderCertificate(makeOrder({ promo, certificate: { code: 'GIFT-20000', applied: 10490 } }), certificates), 'Сертификат больше суммы заказа');
+
+  // Итог сходится, но ушёл в минус — заказ не принимается, сертификат не списывается
+  const post = await startOrders(t, { certificates });
+  const response = await post(makeOrder({ certificate: { code: 'GIFT-20000', applied: 15000 } }));
+  assert.equal(response.status, 422);
+  assert.equal((await response.json()).error, 'Сертификат больше суммы заказа');
+  assert.equal(certificates.get('GIFT-20000'), 20000);
+});
+
+test('если заказ не дошёл до менеджера, сертификат возвращается', async (t) => {
+  const certificates = new Map([['GIFT-1000', 1000]]);
+  const saved = [];
+  const post = await startOrders(t, {
+    certificates,
+    onCertificatesChange: (current) => saved.push(current.get('GIFT-1000')),
+    send: async () => { throw new Error('Telegram недоступен'); }
+  });
+  const error = console.error;
+  console.error = () => {};
+  try {
+    const response = await post(makeOrder({ certificate: { code: 'GIFT-1000', applied: 600 } }));
+    assert.equal(response.status, 502);
+  } finally {
+    console.error = error;
+  }
+  assert.equal(certificates.get('GIFT-1000'), 1000);
+  assert.deepEqual(saved, [400, 1000]);
+});
+
+test('повтор заказа с тем же ключом менеджеру второй раз не уходит', async (t) => {
+  const messages = [];
+  let release;
+  const sending = new Promise(resolve => { release = resolve; });
+  const post = await startOrders(t, { send: async (text) => { messages.push(text); await sending; } });
+  const order = makeOrder({ key: 'key-1' });
+  // Второй запрос — пока первый ещё отправляется: браузер не дождался ответа и повторил
+  const first = post(order);
+  const second = post(order);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  release();
+  const bodies = await Promise.all((await Promise.all([first, second])).map(response => response.json()));
+  assert.deepEqual(bodies.map(body => body.number), [order.number, order.number]);
+  assert.equal((await (await post(order)).json()).number, order.number);
+  assert.equal(messages.length, 1);
+});
+
+test('совпавший номер у другого заказа — сервер выдаёт новый', async (t) => {
+  const orders = new Map();
+  const messages = [];
+  const post = await startOrders(t, { orders, send: async (text) => { messages.push(text); } });
+  const first = makeOrder({ key: 'key-1' });
+  const second = makeOrder({ key: 'key-2' });
+  assert.equal((await (await post(first)).json()).number, first.number);
+  const { number } = await (await post(second)).json();
+  assert.notEqual(number, first.number);
+  assert.match(number, /^DV-\d{6}-\d{4}$/);
+  assert.equal(orders.get(number).key, 'key-2');
+  assert.equal(messages.length, 2);
+  assert.ok(messages[1].includes(number));
+  // Повтор второго заказа узнаётся по ключу и под старым номером
+  assert.equal((await (await post(second)).json()).number, number);
+  assert.equal(messages.length, 2);
+});
+
+test('заказ без ключа: повтор узнаётся по номеру и содержимому', async (t) => {
+  const orders = new Map();
+  const post = await startOrders(t, { orders, send: async () => {} });
+  const order = makeOrder();
+  await post(order);
+  assert.equal((await (await post(order)).json()).number, order.number);
+  assert.equal(orders.size, 1);
+  const other = { ...order, customer: { ...order.customer, name: 'Пётр' } };
+  const { number } = await (await post(other)).json();
+  assert.notEqual(number, order.number);
+  assert.equal(orders.size, 2);
+});
+
+test('админка: PATCH заказа с телом не-объектом — 400, ошибка обработчика — 500', async (t) => {
+  const admin = createAdminSessions({ password: 'secret' });
+  const { token } = admin.login('secret');
+  const order = { ...makeOrder(), status: 'new', history: [], notifications: [] };
+  const { request } = await startRelay(t, {
+    admin,
+    orders: new Map([[order.number, order]]),
+    onOrdersChange: () => { throw new Error('Диск переполнен'); }
+  });
+  const patch = (body) => request(`/admin/orders/${order.number}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body
+  });
+
+  for (const body of ['null', '5', '"new"', '[]']) assert.equal((await patch(body)).status, 400, body);
+  assert.equal((await patch(JSON.stringify({ finals: [null] }))).status, 422);
+
+  const error = console.error;
+  console.error = () => {};
+  try {
+    const response = await patch(JSON.stringify({ status: 'confirmed' }));
+    assert.equal(response.status, 500);
+    assert.equal((await response.json()).error, 'Внутренняя ошибка сервера');
+  } finally {
+    console.error = error;
+  }
+});
+
+test('промокод на первый заказ — только если с этого телефона ещё не заказывали', async (t) => {
+  const orders = new Map();
+  const post = await startOrders(t, { orders, send: async () => {} });
+  const promo = { code: 'FIRST500', title: '', discount: 500 };
+
+  assert.equal((await post(makeOrder({ promo, key: 'key-1' }))).status, 200);
+  // Тот же телефон в другой записи
+  const again = makeOrder({ number: 'DV-261019-0002', promo });
+  again.customer = { ...again.customer, phone: '8 (999) 123-45-67' };
+  const response = await post({ ...again, key: 'key-2' });
+  assert.equal(response.status, 422);
+  assert.equal((await response.json()).error, 'Промокод действует только на первый заказ');
+  // Без промокода заказывать можно сколько угодно
+  assert.equal((await post(makeOrder({ number: 'DV-261019-0003', key: 'key-3' }))).status, 200);
+
+  // Отменённый заказ не считается
+  for (const stored of orders.values()) orders.set(stored.number, { ...stored, status: 'cancelled' });
+  assert.equal((await post({ ...again, key: 'key-4' })).status, 200);
+});
+
+test('правило «первого заказа» одно для витрины и сервера: по телефону, а не по любой истории', () => {
+  const history = [{ number: 'DV-261019-0001', status: 'new', customer: { phone: '+7 999 123-45-67' } }];
+  assert.equal(isFirstOrder('8 (999) 123-45-67', history), false);
+  // Из этого браузера заказывали, но на другой телефон
+  assert.equal(isFirstOrder('+7 916 000-00-00', history), true);
+  assert.equal(isFirstOrder('+7 999 123-45-67', [{ ...history[0], status: 'cancelled' }]), true);
+});
@@ -0,0 +1,89 @@
+// Отправка заказа: HTTP-транспорт через сервер-ретранслятор, тестовый транспорт и повторы при сбоях.
+// Запуск: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  OrderSubmitError, buildOrder, createHttpTransport, createMockTransport, createOrderTransport, submitOrder
+} = require('../js/orders.js');
+const { calculateDelivery } = require('../js/delivery-tariffs.js');
+const { SHOP_CONFIG } = require('../js/config.js');
+const { makeOrder, startRelay } = require('./helpers/relay.js');
+
+const order = makeOrder({ key: 'key-1' });
+
+test('заказ уходит через ретранслятор, токен бота остаётся на сервере', async (t) => {
+  const calls = [];
+  const { transport } = await startRelay(t, { send: async (text, credentials) => { calls.push({ text, credentials }); } });
+  assert.deepEqual(await transport.send(order), { ok: true, number: order.number });
+  assert.equal(calls.length, 1);
+  assert.match(calls[0].text, /DV-261019-0001/);
+  assert.deepEqual(calls[0].credentials, { token: 'bot-token', chatId: 'chat' });
+  assert.equal(await transport.getStatus(order.number), 'new');
+  assert.equal(await transport.getStatus('DV-000000-0000'), null);
+});
+
+test('ошибка в данных не повторяется, сбой Telegram — повторяется', async (t) => {
+  let failures = 1;
+  const error = console.error;
+  console.error = () => {};
+  t.after(() => { console.error = error; });
+  const { transport } = await startRelay(t, {
+    send: async () => {
+      if (failures-- > 0) throw new Error('Telegram недоступен');
+    }
+  });
+
+  await assert.rejects(transport.send({ ...order, customer: { ...order.customer, phone: '' } }),
+    (e) => e instanceof OrderSubmitError && e.status === 422 && !e.retryable && e.message === 'Не указан телефон');
+  await assert.rejects(transport.send(order), (e) => e.status === 502 && e.retryable);
+  assert.deepEqual(await submitOrder(order, transport, { retryDelay: 0 }), { ok: true, number: order.number });
+});
+
+test('сервер недоступен — ошибка сети, которую можно повторить', async () => {
+  const transport = createHttpTransport({
+    endpoint: 'http://localhost:1/api/orders',
+    fetchImpl: async () => { throw new TypeError('fetch failed'); }
+  });
+  await assert.rejects(transport.send(order), (e) => e instanceof OrderSubmitError && e.retryable && e.status === null);
+  await assert.rejects(transport.checkCertificate('GIFT'), /Проверка сертификатов не настроена/);
+});
+
+test('проверка сертификата через ретранслятор', async (t) => {
+  const { transport } = await startRelay(t, { certificates: new Map([['GIFT-1000', 700]]), send: async () => {} });
+  assert.deepEqual(await transport.checkCertificate('gift-1000'), { code: 'GIFT-1000', balance: 700 });
+  assert.equal(await transport.checkCertificate('NOPE'), null);
+});
+
+test('submitOrder повторяет временные сбои, но не бесконечно', async () => {
+  const flaky = createMockTransport({ fail: 2 });
+  assert.deepEqual(await submitOrder(order, flaky, { retries: 2, retryDelay: 0 }), { ok: true });
+  assert.equal(flaky.sent.length, 1);
+
+  const down = createMockTransport({ fail: true });
+  await assert.rejects(submitOrder(order, down, { retries: 2, retryDelay: 0 }), /Тестовая ошибка отправки/);
+  assert.equal(down.sent.length, 0);
+
+  // Чужая ошибка транспорта приводится к OrderSubmitError
+  const broken = { send: async () => { throw new Error('boom'); } };
+  await assert.rejects(submitOrder(order, broken, { retries: 0 }), (e) => e instanceof OrderSubmitError && e.message === 'boom');
+});
+
+test('транспорт выбирается по настройкам', () => {
+  assert.equal(createOrderTransport({ transport: 'mock' }).name, 'mock');
+  assert.equal(createOrderTransport({ transport: 'http', endpoint: '/api/orders' }).name, 'http');
+  assert.throws(() => createOrderTransport({ transport: 'http' }), /Не задан адрес/);
+  assert.throws(() => createOrderTransport({ transport: 'telegram' }), /Неизвестный транспорт заказов/);
+});
+
+test('сертификат в заказе — не больше суммы к оплате, остаток на нём не тратится', () => {
+  const cart = [{ id: 'SKU-004', name: 'Устрицы', category: 'ustritsy', price: 3590, unit: 'piece', weight: null, qty: 1 }];
+  const delivery = calculateDelivery(SHOP_CONFIG.delivery.zones, 'moscow', 3590);
+  const form = { name: 'Иван', phone: '+7 999 123-45-67', address: 'Москва, Арбат, д. 1' };
+  const totals = { items: 3590, discount: 500, delivery: 500, certificate: 10000, total: -6410 };
+  const capped = buildOrder({ cart, form, delivery, totals, certificate: { code: 'GIFT-10000', applied: 10000 } });
+  assert.deepEqual(capped.certificate, { code: 'GIFT-10000', applied: 3590 });
+  assert.deepEqual(capped.totals, { items: 3590, discount: 500, delivery: 500, certificate: 3590, total: 0 });
+
+  const partial = buildOrder({ cart, form, delivery, totals: { ...totals, certificate: 1000, total: 2590 }, certificate: { code: 'GIFT-1000', applied: 1000 } });
+  assert.deepEqual(partial.totals, { items: 3590, discount: 500, delivery: 500, certificate: 1000, total: 2590 });
+});
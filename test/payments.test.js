@@ -0,0 +1,131 @@
+// Оплата: способы для зоны, тестовый провайдер и передача результата оплаты на сервер-ретранслятор.
+// Запуск: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  PaymentError, enabledPaymentMethods, availablePaymentMethods, initialPaymentStatus, canPayOnline,
+  createFakePaymentProvider, createPaymentProvider, payOrder
+} = require('../js/payments.js');
+const { startRelay } = require('./helpers/relay.js');
+
+const METHODS = ['cash', 'card', 'online', 'invoice'];
+const courier = { id: 'moscow', method: 'courier' };
+const transport = { id: 'regions', method: 'transport' };
+
+const seller = {
+  name: 'ООО «Дальневосточные деликатесы»', inn: '7707083893', kpp: '773601001', address: 'Москва, ул. Вавилова, д. 19',
+  bank: 'ПАО Сбербанк', bik: '044525225', account: '40702810900000000001', corrAccount: '30101810400000000225'
+};
+
+test('онлайн-оплату предлагаем только с подключённым провайдером', () => {
+  assert.deepEqual(enabledPaymentMethods(METHODS, { seller }), ['cash', 'card', 'invoice']);
+  assert.deepEqual(enabledPaymentMethods(METHODS, { seller, provider: createFakePaymentProvider() }), METHODS);
+});
+
+test('оплату по счёту предлагаем только с заполненными реквизитами продавца', () => {
+  assert.deepEqual(enabledPaymentMethods(METHODS), ['cash', 'card']);
+  assert.deepEqual(enabledPaymentMethods(METHODS, { seller: { ...seller, inn: '', kpp: '', bank: '' } }), ['cash', 'card']);
+  assert.deepEqual(enabledPaymentMethods(METHODS, { seller: { ...seller, account: '4070281090' } }), ['cash', 'card']);
+  // ИП работает без КПП
+  assert.deepEqual(enabledPaymentMethods(METHODS, { seller: { ...seller, inn: '500100732259', kpp: '' } }), ['cash', 'card', 'invoice']);
+});
+
+test('способы оплаты зависят от зоны, весовых товаров и покупателя', () => {
+  assert.deepEqual(availablePaymentMethods(courier, METHODS), ['cash', 'card', 'online']);
+  assert.deepEqual(availablePaymentMethods(courier, METHODS, { estimated: true }), ['cash', 'card']);
+  assert.deepEqual(availablePaymentMethods(transport, METHODS), ['online']);
+  assert.deepEqual(availablePaymentMethods(courier, METHODS, { company: true }), ['invoice']);
+  // Весовой товар частному лицу транспортной компанией — оплатить нечем, оформление блокируется
+  assert.deepEqual(availablePaymentMethods(transport, METHODS, { estimated: true }), []);
+});
+
+test('начальный статус оплаты; неизвестный способ — ошибка, а не падение', () => {
+  assert.equal(initialPaymentStatus('cash'), 'on-delivery');
+  assert.equal(initialPaymentStatus('invoice'), 'awaiting-invoice');
+  assert.equal(initialPaymentStatus('online'), 'pending');
+  assert.throws(() => initialPaymentStatus(undefined), PaymentError);
+});
+
+test('тестовый провайдер включается только явно и только на localhost', () => {
+  assert.equal(createPaymentProvider({ provider: null }), null);
+  assert.equal(createPaymentProvider({ provider: 'fake', fake: {} }, { hostname: 'localhost' }).name, 'fake');
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(createPaymentProvider({ provider: 'fake', fake: {} }, { hostname: 'dalny-vostok.ru' }), null);
+  } finally {
+    console.warn = warn;
+  }
+  assert.throws(() => createPaymentProvider({ provider: 'unknown' }), /Неизвестный провайдер оплаты/);
+});
+
+const order = { number: 'DV-261019-0001', totals: { total: 4990 } };
+const now = () => new Date('2026-10-19T10:00:00Z');
+
+test('payOrder: успешная оплата тестовым провайдером', async () => {
+  const provider = createFakePaymentProvider({ outcome: 'paid' });
+  const payment = await payOrder(order, provider, now);
+  assert.equal(payment.status, 'paid');
+  assert.equal(payment.method, 'online');
+  assert.equal(payment.updatedAt, '2026-10-19T10:00:00.000Z');
+  assert.equal(await provider.getStatus(payment.id), 'paid');
+  assert.equal(canPayOnline(payment), false);
+});
+
+test('payOrder: отказ покупателя и неудачная оплата можно повторить', async () => {
+  const cancelled = await payOrder(order, createFakePaymentProvider({ confirm: () => false }), now);
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal(canPayOnline(cancelled), true);
+  const failed = await payOrder(order, createFakePaymentProvider({ outcome: 'failed' }), now);
+  assert.equal(failed.status, 'failed');
+  assert.equal(canPayOnline(failed), true);
+});
+
+test('payOrder: ошибка провайдера превращается в платёж со статусом failed', async () => {
+  const broken = { pay: async () => { throw new Error('ECONNRESET'); } };
+  const payment = await payOrder(order, broken, now);
+  assert.equal(payment.status, 'failed');
+  assert.equal(payment.error, 'Платёжный сервис недоступен');
+  const declined = { pay: async () => { throw new PaymentError('Карта отклонена'); } };
+  assert.equal((await payOrder(order, declined, now)).error, 'Карта отклонена');
+});
+
+test('результат оплаты доходит до сервера и менеджера только с ключом заказа', async (t) => {
+  const messages = [];
+  const orders = new Map([[order.number, {
+    ...order, key: 'key-1', status: 'new', customer: { name: 'Иван', phone: '+7 999 123-45-67' },
+    payment: { method: 'online', status: 'pending' }
+  }]]);
+  const { transport: http } = await startRelay(t, { orders, send: async (text) => { messages.push(text); } });
+  const payment = await payOrder(order, createFakePaymentProvider({ outcome: 'paid' }), now);
+
+  // Номер заказа угадали, ключа не знают — «оплачен» не ставим
+  await assert.rejects(http.reportPayment(order.number, payment), { status: 403 });
+  await assert.rejects(http.reportPayment(order.number, payment, 'key-2'), { status: 403 });
+  assert.equal(orders.get(order.number).payment.status, 'pending');
+  assert.equal(messages.length, 0);
+
+  await http.reportPayment(order.number, payment, 'key-1');
+  assert.equal(orders.get(order.number).payment.status, 'paid');
+  assert.equal(messages.length, 1);
+  assert.match(messages[0], /Оплачен/);
+
+  // Повтор того же результата менеджеру второй раз не шлём
+  await http.reportPayment(order.number, payment, 'key-1');
+  assert.equal(messages.length, 1);
+
+  await assert.rejects(http.reportPayment(order.number, { ...payment, status: 'refunded' }, 'key-1'), { status: 422 });
+  await assert.rejects(http.reportPayment('DV-000000-0000', payment, 'key-1'), { status: 404 });
+});
+
+test('заказ без ключа оформления результат оплаты не принимает', async (t) => {
+  const orders = new Map([[order.number, {
+    ...order, status: 'new', customer: { name: 'Иван', phone: '+7 999 123-45-67' },
+    payment: { method: 'online', status: 'pending' }
+  }]]);
+  const { transport: http } = await startRelay(t, { orders });
+  const payment = await payOrder(order, createFakePaymentProvider({ outcome: 'paid' }), now);
+  await assert.rejects(http.reportPayment(order.number, payment, ''), { status: 403 });
+  await assert.rejects(http.reportPayment(order.number, payment, null), { status: 403 });
+  assert.equal(orders.get(order.number).payment.status, 'pending');
+});
@@ -0,0 +1,47 @@
+// Свой сет: что можно положить в сет и как на него действуют промокоды.
+// Запуск: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CUSTOM_SET_CATEGORY, canAddToCustomSet, buildCustomSet } = require('../js/set-builder.js');
+const { applyPromo } = require('../js/promo.js');
+
+const config = {
+  categories: ['krab', 'ustritsy'],
+  minComponents: 2,
+  discounts: [{ minComponents: 2, percent: 5 }],
+  packaging: [{ id: 'thermo', name: 'Термобокс', price: 0 }],
+  card: { price: 150, maxLength: 300 }
+};
+const stock = { status: 'in_stock', count: null };
+const products = [
+  { id: 'SKU-001', name: 'Фаланга краба', category: 'krab', price: 4990, unit: 'kg', weight: null, stock },
+  { id: 'SKU-003', name: 'Краб целый', category: 'krab', price: 5450, unit: 'kg', weight: { min: 1.5, max: 1.8 }, stock },
+  { id: 'SKU-004', name: 'Устрицы', category: 'ustritsy', price: 3590, unit: 'piece', weight: null, stock },
+  { id: 'SKU-010', name: 'Сет «Вечер вдвоём»', category: 'sety', price: 9990, unit: 'set', weight: null, stock }
+];
+const product = (id) => products.find(p => p.id === id);
+
+test('весовые товары и чужие категории в свой сет не берём', () => {
+  assert.equal(canAddToCustomSet(product('SKU-001'), config), true);
+  assert.equal(canAddToCustomSet(product('SKU-003'), config), false);
+  assert.equal(canAddToCustomSet(product('SKU-010'), config), false);
+});
+
+test('сохранённый сет с весовым товаром пересобирается без него', () => {
+  const spec = { components: [{ id: 'SKU-001', qty: 1 }, { id: 'SKU-003', qty: 1 }, { id: 'SKU-004', qty: 1 }], packaging: 'thermo' };
+  const { item, problems } = buildCustomSet(spec, products, config);
+  assert.deepEqual(item.components.map(c => c.id), ['SKU-001', 'SKU-004']);
+  assert.deepEqual(problems, ['SKU-003 — больше нельзя добавить в сет']);
+  assert.equal(item.weight, null);
+});
+
+test('акция на категорию «Сеты» на свой сет не действует', () => {
+  const spec = { components: [{ id: 'SKU-001', qty: 1 }, { id: 'SKU-004', qty: 1 }], packaging: 'thermo' };
+  const { item } = buildCustomSet(spec, products, config);
+  assert.equal(item.category, CUSTOM_SET_CATEGORY);
+  const newYear = { code: 'NEWYEAR', type: 'percent', value: 10, categories: ['sety'] };
+  assert.equal(applyPromo(newYear, [{ ...item, qty: 1 }]).ok, false);
+  assert.equal(applyPromo(newYear, [{ ...item, qty: 1 }, { ...product('SKU-010'), qty: 1 }]).discount, 999);
+  // Акция на весь заказ — действует
+  assert.equal(applyPromo({ code: 'MINUS500', type: 'fixed', value: 500 }, [{ ...item, qty: 1 }]).discount, 500);
+});
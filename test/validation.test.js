@@ -0,0 +1,54 @@
+// Проверка полей форм: телефон, email, правила validateFields.
+// Запуск: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePhone, formatPhone, isCompletePhone, validateField, validateFields } = require('../js/validation.js');
+
+test('normalizePhone: любая запись номера → 11 цифр с семёркой', () => {
+  assert.equal(normalizePhone('8 (999) 123-45-67'), '79991234567');
+  assert.equal(normalizePhone('+7 999 123-45-67'), '79991234567');
+  assert.equal(normalizePhone('9991234567'), '79991234567');
+  // Лишнее после 11 цифр отбрасываем
+  assert.equal(normalizePhone('+7 (999) 123-45-67 доб. 89'), '79991234567');
+  assert.equal(normalizePhone(''), '');
+  assert.equal(normalizePhone(null), '');
+  assert.equal(normalizePhone('нет'), '');
+});
+
+test('formatPhone: маска по мере ввода', () => {
+  assert.equal(formatPhone(''), '');
+  assert.equal(formatPhone('8'), '+7');
+  assert.equal(formatPhone('89'), '+7 9');
+  assert.equal(formatPhone('8999123'), '+7 999 123');
+  assert.equal(formatPhone('899912345'), '+7 999 123-45');
+  assert.equal(formatPhone('89991234567'), '+7 999 123-45-67');
+  // Маска от уже отформатированного номера не меняется
+  assert.equal(formatPhone(formatPhone('9991234567')), '+7 999 123-45-67');
+});
+
+test('телефон считается введённым только целиком', () => {
+  assert.equal(isCompletePhone('+7 999 123-45-67'), true);
+  assert.equal(isCompletePhone('+7 999 123-45'), false);
+  assert.equal(validateField('phone', ''), 'Введите телефон');
+  assert.match(validateField('phone', '+7 999'), /полностью/);
+  assert.equal(validateField('phone', '8 999 123 45 67'), '');
+});
+
+test('email необязателен, пока не передан required', () => {
+  assert.deepEqual(validateFields({ email: '' }, { email: 'email' }), {});
+  assert.deepEqual(validateFields({ email: '' }, { email: { rule: 'email', required: true } }), { email: 'Введите email' });
+  assert.deepEqual(validateFields({ email: 'name@example' }, { email: 'email' }), { email: 'Проверьте email: например, name@example.ru' });
+  assert.deepEqual(validateFields({ email: ' name@example.ru ' }, { email: { rule: 'email', required: true } }), {});
+});
+
+test('validateFields возвращает ошибки только для полей с ошибками', () => {
+  const rules = { name: 'name', phone: 'phone', address: 'address', agree: 'consent' };
+  assert.deepEqual(validateFields({ name: 'Иван', phone: '+7 999 123-45-67', address: 'Москва, Арбат, 1', agree: true }, rules), {});
+  assert.deepEqual(Object.keys(validateFields({ name: 'И', phone: '', address: 'Арбат', agree: false }, rules)),
+    ['name', 'phone', 'address', 'agree']);
+});
+
+test('неизвестное правило — ошибка разработчика, а не пустая проверка', () => {
+  assert.throws(() => validateField('zip', '101000'), /Неизвестное правило проверки: zip/);
+  assert.throws(() => validateFields({ zip: '' }, { zip: { rule: 'zip' } }), /zip/);
+});